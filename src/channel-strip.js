@@ -0,0 +1,140 @@
+/**
+ * Per-row channel strip for the sample player
+ * Level → filter → pan, with post-fader sends to the shared delay and reverb
+ * buses. Everything is plain Web Audio nodes so it renders offline too.
+ *
+ * Parameters come from the first 3 bytes of the row on the channel page:
+ * - Level (byte 0): bits 7-4 attenuation (0 = full level), bit 3 pan side (1 = left), bits 2-0 pan amount
+ * - Filter (byte 1): bits 7-6 type (off, lowpass, highpass, bandpass), bits 5-2 cutoff, bits 1-0 resonance
+ * - Sends (byte 2): bits 7-4 delay send, bits 3-0 reverb send
+ *
+ * The next bytes shape each voice rather than the strip (see SamplePlayer.playSample):
+ * - Envelope (byte 3): bits 7-6 attack, bits 5-3 gate length (0 = play the whole sample), bits 2-1 decay, bit 0 choke
+ * - Playback (byte 4): bit 7 reverse, bit 6 slice the bank's first sample into 8 notes,
+ *   bits 5-4 auto-pan (off, alternate, random, sweep), bits 3-0 auto-pan width
+ */
+
+const FILTER_TYPES = ['allpass', 'lowpass', 'highpass', 'bandpass'];
+const FILTER_Q_VALUES = [Math.SQRT1_2, 2, 5, 12];
+const MIN_CUTOFF_HZ = 20;
+const MAX_CUTOFF_HZ = 20000;
+// Time constant for parameter changes, long enough to avoid zipper noise.
+const PARAM_SMOOTHING_SECONDS = 0.01;
+
+const ATTACK_SECONDS = [0, 0.005, 0.02, 0.08];
+// Gate lengths in steps; 0 lets the sample play to its end.
+const GATE_STEPS = [0, 0.25, 0.5, 1, 2, 4, 8, 16];
+const DECAY_SECONDS = [0.01, 0.05, 0.2, 0.8];
+const AUTO_PAN_MODES = ['off', 'alternate', 'random', 'sweep'];
+
+/**
+ * Extract channel settings from a row's channel page bytes
+ * @param {number[]} bytes - Channel page bytes for the row (missing bytes read as 0)
+ * @returns {{gain: number, pan: number, filterType: string, cutoff: number, q: number, delaySend: number, reverbSend: number}}
+ */
+export function extractChannelSettings(bytes = []) {
+	const levelByte = bytes[0] || 0;
+	const filterByte = bytes[1] || 0;
+	const sendsByte = bytes[2] || 0;
+
+	const attenuation = (levelByte >> 4) & 0b1111;
+	const isPanLeft = (levelByte >> 3) & 0b1;
+	const panAmount = (levelByte & 0b111) / 7;
+
+	const filterType = FILTER_TYPES[(filterByte >> 6) & 0b11];
+	const cutoffStep = (filterByte >> 2) & 0b1111;
+	const cutoff = MIN_CUTOFF_HZ * Math.pow(MAX_CUTOFF_HZ / MIN_CUTOFF_HZ, cutoffStep / 15);
+	const q = FILTER_Q_VALUES[filterByte & 0b11];
+
+	return {
+		gain: 1 - attenuation / 16,
+		pan: isPanLeft ? -panAmount : panAmount,
+		filterType,
+		cutoff,
+		q,
+		delaySend: ((sendsByte >> 4) & 0b1111) / 15,
+		reverbSend: (sendsByte & 0b1111) / 15,
+	};
+}
+
+/**
+ * Extract per-voice envelope settings from a row's channel page bytes
+ * @param {number[]} bytes - Channel page bytes for the row (missing bytes read as 0)
+ * @returns {{attack: number, gateSteps: number, decay: number, choke: boolean}} Attack and decay in seconds, gate in steps
+ */
+export function extractEnvelopeSettings(bytes = []) {
+	const envelopeByte = bytes[3] || 0;
+
+	return {
+		attack: ATTACK_SECONDS[(envelopeByte >> 6) & 0b11],
+		gateSteps: GATE_STEPS[(envelopeByte >> 3) & 0b111],
+		decay: DECAY_SECONDS[(envelopeByte >> 1) & 0b11],
+		choke: !!(envelopeByte & 0b1),
+	};
+}
+
+/**
+ * Extract per-voice playback settings from a row's channel page bytes
+ * @param {number[]} bytes - Channel page bytes for the row (missing bytes read as 0)
+ * @returns {{reverse: boolean, slice: boolean, autoPan: string, autoPanWidth: number}}
+ */
+export function extractPlaybackSettings(bytes = []) {
+	const playbackByte = bytes[4] || 0;
+
+	return {
+		reverse: !!((playbackByte >> 7) & 0b1),
+		slice: !!((playbackByte >> 6) & 0b1),
+		autoPan: AUTO_PAN_MODES[(playbackByte >> 4) & 0b11],
+		autoPanWidth: (playbackByte & 0b1111) / 15,
+	};
+}
+
+export class ChannelStrip {
+	/**
+	 * @param {BaseAudioContext} audioContext
+	 * @param {AudioNode} destination - Node the strip's output connects to
+	 * @param {{delay: AudioNode, reverb: AudioNode}} sends - Shared effect bus inputs
+	 */
+	constructor(audioContext, destination, sends) {
+		this.audioContext = audioContext;
+		this.lastBytesKey = null;
+
+		this.input = audioContext.createGain();
+		this.filter = audioContext.createBiquadFilter();
+		// An allpass filter leaves levels untouched, so it doubles as "off".
+		this.filter.type = 'allpass';
+		this.panner = audioContext.createStereoPanner();
+		this.delaySend = audioContext.createGain();
+		this.delaySend.gain.value = 0;
+		this.reverbSend = audioContext.createGain();
+		this.reverbSend.gain.value = 0;
+
+		this.input.connect(this.filter);
+		this.filter.connect(this.panner);
+		this.panner.connect(destination);
+		this.panner.connect(this.delaySend);
+		this.panner.connect(this.reverbSend);
+		this.delaySend.connect(sends.delay);
+		this.reverbSend.connect(sends.reverb);
+	}
+
+	/**
+	 * Apply channel page bytes, skipping the update if they haven't changed
+	 * @param {number[]} bytes - Channel page bytes for the row
+	 * @param {number} time - Audio context time to apply the change at
+	 */
+	update(bytes = [], time = this.audioContext.currentTime) {
+		const bytesKey = bytes.join(',');
+		if (bytesKey === this.lastBytesKey) return;
+		this.lastBytesKey = bytesKey;
+
+		const { gain, pan, filterType, cutoff, q, delaySend, reverbSend } = extractChannelSettings(bytes);
+		this.filter.type = filterType;
+		this.input.gain.setTargetAtTime(gain, time, PARAM_SMOOTHING_SECONDS);
+		this.panner.pan.setTargetAtTime(pan, time, PARAM_SMOOTHING_SECONDS);
+		this.filter.frequency.setTargetAtTime(cutoff, time, PARAM_SMOOTHING_SECONDS);
+		this.filter.Q.setTargetAtTime(q, time, PARAM_SMOOTHING_SECONDS);
+		this.delaySend.gain.setTargetAtTime(delaySend, time, PARAM_SMOOTHING_SECONDS);
+		this.reverbSend.gain.setTargetAtTime(reverbSend, time, PARAM_SMOOTHING_SECONDS);
+	}
+}
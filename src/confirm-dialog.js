@@ -0,0 +1,16 @@
+/**
+ * Confirmation dialog component
+ * Same look as the preset dialog, for one-off destructive actions
+ */
+
+import { showDialog } from './dialog.js';
+
+/**
+ * Show a confirmation dialog
+ * @param {string} messageText - Question to ask
+ * @param {string} confirmText - Label for the confirm button (optional)
+ * @returns {Promise<boolean>} True if confirmed, false if cancelled
+ */
+export async function showConfirmDialog(messageText, confirmText = 'Confirm') {
+	return showDialog({ message: messageText, confirmText });
+}
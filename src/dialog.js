@@ -0,0 +1,203 @@
+/**
+ * Shared dialog scaffolding
+ * Builds the overlay, dialog box, message and Cancel/confirm buttons that
+ * every dialog uses, and handles closing with Escape or an outside click.
+ */
+
+/**
+ * Create a dialog button
+ * @param {string} text - Button label
+ * @param {boolean} isPrimary - Red confirm style rather than the subdued cancel style
+ * @returns {HTMLButtonElement}
+ */
+function createButton(text, isPrimary) {
+	const button = document.createElement('button');
+	button.textContent = text;
+	if (isPrimary) {
+		button.style.cssText = `
+			padding: 0.5rem 1.5rem;
+			background-color: #ff4444;
+			border: 1px solid #ff4444;
+			border-radius: 4px;
+			color: white;
+			cursor: pointer;
+			font-size: 1rem;
+			font-family: inherit;
+			font-weight: 500;
+		`;
+	} else {
+		button.style.cssText = `
+			padding: 0.5rem 1.5rem;
+			background-color: rgba(255, 255, 255, 0.1);
+			border: 1px solid rgba(255, 255, 255, 0.2);
+			border-radius: 4px;
+			color: rgba(255, 255, 255, 0.87);
+			cursor: pointer;
+			font-size: 1rem;
+			font-family: inherit;
+		`;
+	}
+
+	const background = button.style.backgroundColor;
+	const hoverBackground = isPrimary ? '#ff6666' : 'rgba(255, 255, 255, 0.15)';
+	button.addEventListener('mouseenter', () => {
+		button.style.backgroundColor = hoverBackground;
+	});
+	button.addEventListener('mouseleave', () => {
+		button.style.backgroundColor = background;
+	});
+	return button;
+}
+
+/**
+ * Create a labelled form field row
+ * @param {string} text - Label text
+ * @param {HTMLElement} input - Input or select element
+ * @param {string} inputWidth - CSS width of the input (optional)
+ * @returns {HTMLLabelElement}
+ */
+export function createField(text, input, inputWidth = '6rem') {
+	const field = document.createElement('label');
+	field.style.cssText = `
+		display: flex;
+		align-items: center;
+		justify-content: space-between;
+		gap: 1rem;
+		margin-bottom: 1rem;
+		font-size: 0.9rem;
+		color: rgba(255, 255, 255, 0.7);
+	`;
+	input.style.cssText = `
+		width: ${inputWidth};
+		padding: 0.25rem 0.5rem;
+		background-color: rgba(255, 255, 255, 0.1);
+		border: 1px solid rgba(255, 255, 255, 0.2);
+		border-radius: 4px;
+		color: rgba(255, 255, 255, 0.87);
+		font-size: 1rem;
+		font-family: inherit;
+	`;
+
+	const label = document.createElement('span');
+	label.textContent = text;
+
+	field.appendChild(label);
+	field.appendChild(input);
+	return field;
+}
+
+/**
+ * Show a dialog and wait for it to be confirmed or cancelled
+ * @param {Object} options
+ * @param {string} options.message - Text at the top of the dialog
+ * @param {HTMLElement[]} options.content - Fields shown between the message and the buttons (optional)
+ * @param {string|null} options.confirmText - Label for the confirm button, or null for a message with only a cancel button (optional)
+ * @param {string} options.cancelText - Label for the cancel button (optional)
+ * @param {Function} options.getResult - Returns the value to resolve with when confirmed (optional, default true)
+ * @param {*} options.cancelResult - Value to resolve with when cancelled (optional, default false)
+ * @returns {Promise<*>} The confirmed result or the cancel result
+ */
+export function showDialog({
+	message,
+	content = [],
+	confirmText = 'Confirm',
+	cancelText = 'Cancel',
+	getResult = () => true,
+	cancelResult = false,
+}) {
+	return new Promise(resolve => {
+		// Create dialog overlay
+		const overlay = document.createElement('div');
+		overlay.style.cssText = `
+			position: fixed;
+			top: 0;
+			left: 0;
+			right: 0;
+			bottom: 0;
+			background-color: rgba(0, 0, 0, 0.7);
+			display: flex;
+			align-items: center;
+			justify-content: center;
+			z-index: 10001;
+		`;
+
+		// Create dialog box
+		const dialog = document.createElement('div');
+		dialog.style.cssText = `
+			background-color: #242424;
+			border: 2px solid rgba(255, 255, 255, 0.2);
+			border-radius: 8px;
+			padding: 2rem;
+			max-width: 400px;
+			width: 90%;
+			color: rgba(255, 255, 255, 0.87);
+			font-family: system-ui, Avenir, Helvetica, Arial, sans-serif;
+		`;
+
+		// Create message
+		const messageElement = document.createElement('p');
+		messageElement.style.cssText = `
+			margin: 0 0 1.5rem 0;
+			font-size: 1rem;
+			line-height: 1.5;
+		`;
+		messageElement.textContent = message;
+
+		// Create button container
+		const buttonContainer = document.createElement('div');
+		buttonContainer.style.cssText = `
+			display: flex;
+			gap: 1rem;
+			justify-content: flex-end;
+			margin-top: ${content.length ? '1.5rem' : '0'};
+		`;
+		const cancelButton = createButton(cancelText, false);
+		const confirmButton = confirmText === null ? null : createButton(confirmText, true);
+
+		// Handle button clicks
+		const cleanup = result => {
+			document.removeEventListener('keydown', handleEscape);
+			overlay.remove();
+			resolve(result);
+		};
+
+		cancelButton.addEventListener('click', () => cleanup(cancelResult));
+		confirmButton?.addEventListener('click', () => cleanup(getResult()));
+
+		// Handle Escape key
+		const handleEscape = e => {
+			if (e.key === 'Escape') {
+				cleanup(cancelResult);
+			}
+		};
+		document.addEventListener('keydown', handleEscape);
+
+		// Keep typing in the fields from triggering the sequencer's keyboard shortcuts
+		dialog.addEventListener('keydown', e => {
+			if (e.key !== 'Escape') e.stopPropagation();
+		});
+
+		// Handle overlay click (close on outside click)
+		overlay.addEventListener('click', e => {
+			if (e.target === overlay) {
+				cleanup(cancelResult);
+			}
+		});
+
+		// Assemble dialog
+		buttonContainer.appendChild(cancelButton);
+		if (confirmButton) buttonContainer.appendChild(confirmButton);
+		dialog.appendChild(messageElement);
+		content.forEach(element => dialog.appendChild(element));
+		dialog.appendChild(buttonContainer);
+		overlay.appendChild(dialog);
+		document.body.appendChild(overlay);
+
+		// Focus confirm button, or the only button there is
+		if (confirmButton) {
+			confirmButton.focus();
+		} else {
+			cancelButton.focus();
+		}
+	});
+}
@@ -0,0 +1,112 @@
+/**
+ * Audio export controller
+ * Ties the export dialog, offline renderer and WAV encoder to the EXPORT button
+ */
+
+import { showExportDialog, showExportMessage } from './export-dialog.js';
+import { renderPattern, renderStems } from './offline-renderer.js';
+import { encodeWav } from './wav-encoder.js';
+import { createZip } from './zip-writer.js';
+
+// Store the export button handler to allow removal
+let exportButtonHandler = null;
+
+/**
+ * Offer a blob to the user as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	// Give the browser a moment to start the download before revoking.
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a stem's file name from its row and sound bank
+ * @param {number} index - Row index (1-8)
+ * @param {string} bankName - Sound bank name
+ * @returns {string}
+ */
+function getStemFilename(index, bankName) {
+	return `Row ${index} - ${bankName}.wav`.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+/**
+ * Handle EXPORT button click
+ * Shows the export dialog, renders the current pattern offline and downloads it
+ * as a WAV file, or as a zip of per-row WAV stems
+ * @param {Function} getSamplePlayer - Function that returns the live SamplePlayer (null until audio starts)
+ * @param {SequencerClock} clock - Clock providing the tick math
+ * @param {Function} getAllRowValues - Function that returns the current row values
+ * @param {Function} getMasterVolume - Function that returns the master volume (0-1)
+ * @param {Function} getBankName - Function that returns a sound bank's name from its index
+ */
+export async function handleExportButtonClick(getSamplePlayer, clock, getAllRowValues, getMasterVolume, getBankName) {
+	const samplePlayer = getSamplePlayer();
+	if (!samplePlayer) {
+		await showExportMessage(
+			'Audio is still starting up, so there is nothing to export yet. Try again in a moment.',
+		);
+		return;
+	}
+
+	const options = await showExportDialog();
+	if (!options) return;
+
+	const renderOptions = { bars: options.bars, masterVolume: getMasterVolume() };
+
+	try {
+		if (!options.stems) {
+			const audioBuffer = await renderPattern(samplePlayer, clock, getAllRowValues(), renderOptions);
+			downloadBlob(encodeWav(audioBuffer, options.bitDepth), `big-dipper-${options.bars}-bars.wav`);
+			return;
+		}
+
+		const stems = await renderStems(samplePlayer, clock, getAllRowValues(), renderOptions);
+		if (stems.length === 0) {
+			await showExportMessage('Every row is muted, so there are no stems to export.');
+			return;
+		}
+
+		const files = [];
+		for (const { index, soundBank, audioBuffer } of stems) {
+			const wav = encodeWav(audioBuffer, options.bitDepth);
+			files.push({
+				name: getStemFilename(index, getBankName(soundBank)),
+				data: new Uint8Array(await wav.arrayBuffer()),
+			});
+		}
+		downloadBlob(createZip(files), `big-dipper-${options.bars}-bars-stems.zip`);
+	} catch (error) {
+		console.error('Error exporting audio:', error);
+		await showExportMessage(`Export failed: ${error.message}`);
+	}
+}
+
+/**
+ * Initialize audio export
+ * @param {Function} getSamplePlayer - Function that returns the live SamplePlayer (null until audio starts)
+ * @param {SequencerClock} clock - Clock providing the tick math
+ * @param {Function} getAllRowValues - Function that returns the current row values
+ * @param {Function} getMasterVolume - Function that returns the master volume (0-1)
+ * @param {Function} getBankName - Function that returns a sound bank's name from its index
+ */
+export function initializeExportSystem(getSamplePlayer, clock, getAllRowValues, getMasterVolume, getBankName) {
+	const exportButton = document.getElementById('export-button');
+	if (exportButton) {
+		if (exportButtonHandler) exportButton.removeEventListener('click', exportButtonHandler);
+		exportButtonHandler = () => {
+			handleExportButtonClick(getSamplePlayer, clock, getAllRowValues, getMasterVolume, getBankName);
+		};
+		exportButton.addEventListener('click', exportButtonHandler);
+	} else {
+		console.warn('EXPORT button not found');
+	}
+}
@@ -0,0 +1,106 @@
+/**
+ * Audio export dialog component
+ * Asks how many bars to render, the WAV bit depth and whether to export stems
+ */
+
+import { createField, showDialog } from './dialog.js';
+
+const EXPORT_PREF_KEY = 'big-dipper-export-options';
+const DEFAULT_OPTIONS = { bars: 4, bitDepth: 16, stems: false };
+const MAX_BARS = 64;
+
+/**
+ * Get the last used export options from localStorage
+ * @returns {{bars: number, bitDepth: number, stems: boolean}} Export options
+ */
+function getExportPrefs() {
+	try {
+		const stored = localStorage.getItem(EXPORT_PREF_KEY);
+		if (stored) {
+			const prefs = JSON.parse(stored);
+			return {
+				bars: Number(prefs.bars) || DEFAULT_OPTIONS.bars,
+				bitDepth: prefs.bitDepth === 24 ? 24 : 16,
+				stems: !!prefs.stems,
+			};
+		}
+	} catch (error) {
+		console.error('Error reading export preferences:', error);
+	}
+	return { ...DEFAULT_OPTIONS };
+}
+
+/**
+ * Save export options for next time
+ * @param {{bars: number, bitDepth: number, stems: boolean}} options - Export options
+ */
+function saveExportPrefs(options) {
+	try {
+		localStorage.setItem(EXPORT_PREF_KEY, JSON.stringify(options));
+	} catch (error) {
+		console.error('Error saving export preferences:', error);
+	}
+}
+
+/**
+ * Tell the user why an export couldn't happen
+ * @param {string} message - Reason to show
+ * @returns {Promise<void>} Resolves when the dialog is closed
+ */
+export async function showExportMessage(message) {
+	await showDialog({ message, confirmText: null, cancelText: 'OK' });
+}
+
+/**
+ * Show the audio export dialog
+ * @returns {Promise<{bars: number, bitDepth: number, stems: boolean}|null>} Chosen options, or null if cancelled
+ */
+export async function showExportDialog() {
+	const prefs = getExportPrefs();
+
+	// Create fields
+	const barsInput = document.createElement('input');
+	barsInput.type = 'number';
+	barsInput.min = '1';
+	barsInput.max = String(MAX_BARS);
+	barsInput.value = String(prefs.bars);
+
+	const bitDepthSelect = document.createElement('select');
+	for (const bitDepth of [16, 24]) {
+		const option = document.createElement('option');
+		option.value = String(bitDepth);
+		option.textContent = `${bitDepth}-bit`;
+		bitDepthSelect.appendChild(option);
+	}
+	bitDepthSelect.value = String(prefs.bitDepth);
+
+	const outputSelect = document.createElement('select');
+	for (const [value, text] of [
+		['mix', 'Mix'],
+		['stems', 'Stems'],
+	]) {
+		const option = document.createElement('option');
+		option.value = value;
+		option.textContent = text;
+		outputSelect.appendChild(option);
+	}
+	outputSelect.value = prefs.stems ? 'stems' : 'mix';
+
+	const options = await showDialog({
+		message: 'Render the current pattern to a WAV file, or each instrument row to a WAV in a zip.',
+		content: [
+			createField('Bars', barsInput),
+			createField('Bit depth', bitDepthSelect),
+			createField('Output', outputSelect),
+		],
+		confirmText: 'Export',
+		getResult: () => ({
+			bars: Math.min(MAX_BARS, Math.max(1, Math.round(Number(barsInput.value)) || 1)),
+			bitDepth: Number(bitDepthSelect.value),
+			stems: outputSelect.value === 'stems',
+		}),
+		cancelResult: null,
+	});
+	if (options) saveExportPrefs(options);
+	return options;
+}
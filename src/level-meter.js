@@ -0,0 +1,162 @@
+// Range shown by the meter, in dBFS.
+const MIN_DB = -60;
+// How long the clip light stays on after a sample reaches full scale.
+const CLIP_HOLD_MS = 1000;
+// How fast the peak marker falls back, in dB per second.
+const PEAK_FALL_DB_PER_SECOND = 20;
+
+/**
+ * Convert a linear level to a 0-1 meter position
+ * @param {number} level - Linear amplitude
+ * @returns {number}
+ */
+const levelToPosition = level => {
+	if (level <= 0) return 0;
+	const db = 20 * Math.log10(level);
+	return Math.max(0, Math.min(1, 1 - db / MIN_DB));
+};
+
+/**
+ * Peak/RMS level meter for an AnalyserNode
+ * Draws an RMS bar, a falling peak marker and a clip light that holds for a
+ * second whenever the signal reaches full scale. Frames are only scheduled
+ * while the meter is on screen, the tab is in the foreground and the audio
+ * context is running. Once playback stops the meter draws until the tails have
+ * fallen silent, then stops until playback starts again.
+ */
+class LevelMeter extends HTMLElement {
+	constructor() {
+		super();
+		this._analyser = null;
+		this._samples = null;
+		this._frame = null;
+		this._peakPosition = 0;
+		this._clipTime = -Infinity;
+		this._lastFrameTime = 0;
+		this._isPlaying = false;
+		this._isOnScreen = false;
+		this._update = () => {
+			if (this._canDraw()) {
+				this._start();
+			} else {
+				this._stop();
+			}
+		};
+		// Switching pages hides the whole row group, and print-friendly mode hides the meter with CSS.
+		this._observer = new IntersectionObserver(entries => {
+			this._isOnScreen = entries[entries.length - 1].isIntersecting;
+			this._update();
+		});
+	}
+
+	connectedCallback() {
+		if (!this._canvas) {
+			this._canvas = document.createElement('canvas');
+			this.appendChild(this._canvas);
+		}
+		document.addEventListener('visibilitychange', this._update);
+		this._observer.observe(this);
+	}
+
+	disconnectedCallback() {
+		document.removeEventListener('visibilitychange', this._update);
+		this._observer.disconnect();
+		this._isOnScreen = false;
+		this._stop();
+	}
+
+	get analyser() {
+		return this._analyser;
+	}
+
+	set analyser(analyser) {
+		this._analyser?.context.removeEventListener('statechange', this._update);
+		this._analyser = analyser;
+		this._samples = analyser ? new Float32Array(analyser.fftSize) : null;
+		this._analyser?.context.addEventListener('statechange', this._update);
+		this._update();
+	}
+
+	/**
+	 * Whether the sequencer is playing; the meter wakes up when this turns on
+	 * @type {boolean}
+	 */
+	get playing() {
+		return this._isPlaying;
+	}
+
+	set playing(isPlaying) {
+		this._isPlaying = isPlaying;
+		if (isPlaying) this._update();
+	}
+
+	_canDraw() {
+		return (
+			this._analyser !== null &&
+			this._analyser.context.state === 'running' &&
+			this._isOnScreen &&
+			!document.hidden
+		);
+	}
+
+	_start() {
+		if (this._frame !== null || !this._canDraw()) return;
+		this._frame = requestAnimationFrame(time => this._draw(time));
+	}
+
+	_stop() {
+		if (this._frame !== null) cancelAnimationFrame(this._frame);
+		this._frame = null;
+	}
+
+	_draw(time) {
+		this._frame = requestAnimationFrame(nextTime => this._draw(nextTime));
+
+		this._analyser.getFloatTimeDomainData(this._samples);
+		let peak = 0;
+		let sumOfSquares = 0;
+		for (const sample of this._samples) {
+			peak = Math.max(peak, Math.abs(sample));
+			sumOfSquares += sample * sample;
+		}
+		const rms = Math.sqrt(sumOfSquares / this._samples.length);
+		if (peak >= 1) this._clipTime = time;
+
+		const elapsedSeconds = Math.min(0.1, (time - this._lastFrameTime) / 1000);
+		this._lastFrameTime = time;
+		const fallenPeak = this._peakPosition - (PEAK_FALL_DB_PER_SECOND * elapsedSeconds) / -MIN_DB;
+		this._peakPosition = Math.max(levelToPosition(peak), fallenPeak);
+
+		const canvas = this._canvas;
+		const width = Math.round(canvas.clientWidth * devicePixelRatio);
+		const height = Math.round(canvas.clientHeight * devicePixelRatio);
+		if (canvas.width !== width || canvas.height !== height) {
+			canvas.width = width;
+			canvas.height = height;
+		}
+
+		const context = canvas.getContext('2d');
+		const clipHeight = Math.round(width * 0.75);
+		const meterHeight = height - clipHeight - 2;
+		context.clearRect(0, 0, width, height);
+
+		context.fillStyle = time - this._clipTime < CLIP_HOLD_MS ? '#ff4444' : 'rgba(255, 255, 255, 0.15)';
+		context.fillRect(0, 0, width, clipHeight);
+
+		context.fillStyle = 'rgba(255, 255, 255, 0.1)';
+		context.fillRect(0, height - meterHeight, width, meterHeight);
+
+		const rmsHeight = levelToPosition(rms) * meterHeight;
+		context.fillStyle = '#4caf50';
+		context.fillRect(0, height - rmsHeight, width, rmsHeight);
+
+		const peakY = height - this._peakPosition * meterHeight;
+		context.fillStyle = this._peakPosition > levelToPosition(0.9) ? '#ffcc00' : 'rgba(255, 255, 255, 0.87)';
+		context.fillRect(0, Math.min(height - 2, peakY), width, 2);
+
+		const isSettled = this._peakPosition === 0 && time - this._clipTime >= CLIP_HOLD_MS;
+		if (!this._isPlaying && isSettled) this._stop();
+	}
+}
+
+customElements.define('level-meter', LevelMeter);
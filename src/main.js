@@ -1,27 +1,50 @@
 import './dip-switch.js';
 import './dip-switch-group.js';
 import './tactile-button.js';
+import './level-meter.js';
+import './signal-scope.js';
 import { SequencerClock } from './sequencer-clock.js';
 import { SamplePlayer } from './sample-player.js';
 import { CrossTabSync } from './cross-tab-sync.js';
 import { MidiOutput } from './midi-output.js';
+import { MidiClockInput } from './midi-clock-input.js';
 import { initializePresetSystem } from './preset-controller.js';
+import { syncToURL } from './preset-url-sync.js';
+import { initializeExportSystem } from './export-controller.js';
+import { handleTap, initializeTapTempo } from './tap-tempo.js';
+import { initializeMidiSystem } from './midi-controller.js';
+import { showConfirmDialog } from './confirm-dialog.js';
+import { SampleLibrary } from './sample-library.js';
 
 const numRows = 9;
 
-const rowLabels = [
-	['BPM', 'BPM Mod', 'MIDI Scale', 'Preset', 'Play'],
-	['Instrument', 'Mode'],
-];
+// The main page holds the sequence; the channel page holds per-row mixing
+// and the shared effect buses.
+const pages = ['main', 'channel'];
+
+const rowLabels = {
+	main: [
+		['BPM', 'BPM Mod', 'MIDI Scale', 'Preset', 'Play'],
+		['Instrument', 'Mode'],
+	],
+	channel: [
+		['Master', 'Delay', 'Reverb', 'MIDI Sync'],
+		['Level', 'Filter', 'Sends', 'Envelope', 'Playback', 'MIDI Gate'],
+	],
+};
+
+const rowGroupMarkup = (page, i) => {
+	const attributes = [`data-page="${page}"`];
+	if (i === 0) attributes.push('data-settings', 'class="settings-row"');
+	if (page !== 'main') attributes.push('hidden');
+	// The level meter sits beside the main settings row's last byte, Play.
+	const content = page === 'main' && i === 0 ? '<level-meter id="level-meter"></level-meter>' : '';
+	return `<dip-switch-group ${attributes.join(' ')}>${content}</dip-switch-group>`;
+};
 
-document.querySelector('.circuit-board').innerHTML += `
-      ${Array.from(
-			{ length: numRows },
-			(_, i) => `
-        <dip-switch-group${i === 0 ? ' data-settings class="settings-row"' : ''}></dip-switch-group>
-      `,
-		).join('')}
-`;
+document.querySelector('.circuit-board').innerHTML += pages
+	.flatMap(page => Array.from({ length: numRows }, (_, i) => rowGroupMarkup(page, i)))
+	.join('');
 
 const clock = new SequencerClock();
 
@@ -29,13 +52,16 @@ let crossTabSync = null;
 
 let samplePlayer = null;
 
-let midiOutput = null;
+// Created up front so the MIDI dialog can pick ports before audio starts;
+// MIDI access isn't requested until output is enabled or the dialog opens.
+const midiOutput = new MidiOutput();
+const midiClockInput = new MidiClockInput(clock);
 
 let leaderBaseTempo = null;
 
-let preloadedSampleData = new Map();
+const sampleLibrary = new SampleLibrary(import.meta.env.BASE_URL);
 
-const setRow = document.querySelector('dip-switch-group[data-settings]');
+const setRow = document.querySelector('dip-switch-group[data-page="main"][data-settings]');
 
 let selectedByte = null;
 let clipboard = null;
@@ -53,29 +79,43 @@ const expertShortcuts = {
 	invalidKeys: new Set(),
 };
 
-let cachedRowGroups = null;
-function getAllRowGroups() {
-	if (cachedRowGroups === null) {
-		cachedRowGroups = Array.from(document.querySelectorAll('dip-switch-group'));
+let currentPage = 'main';
+
+const cachedRowGroups = new Map();
+function getPageRowGroups(page) {
+	if (!cachedRowGroups.has(page)) {
+		cachedRowGroups.set(page, Array.from(document.querySelectorAll(`dip-switch-group[data-page="${page}"]`)));
 	}
-	return cachedRowGroups;
+	return cachedRowGroups.get(page);
+}
+
+// Row groups on the page that's currently shown.
+function getAllRowGroups() {
+	return getPageRowGroups(currentPage);
+}
+
+// Row groups from every page, in the order presets store them.
+function getPresetRowGroups() {
+	return pages.flatMap(getPageRowGroups);
 }
 
-getAllRowGroups().forEach((group, i) => {
-	const labels = rowLabels[i ? 1 : 0];
-	if (!labels) return;
+pages.forEach(page => {
+	getPageRowGroups(page).forEach((group, i) => {
+		const labels = rowLabels[page][i ? 1 : 0];
+		if (!labels) return;
 
-	const isSettingsRow = i === 0;
-	const numBytes = isSettingsRow ? 5 : 6;
+		const isSettingsRow = i === 0;
+		const numBytes = isSettingsRow ? 5 : 6;
 
-	for (let j = 0; j < numBytes; ++j) {
-		const switchEl = group.getByte(j);
-		if (!switchEl) continue;
-		const label = labels[j];
-		if (label) switchEl.label = label;
-		// Set default value for PLAY byte in settings row.
-		if (isSettingsRow && j === 4) switchEl.value = 0b10111110;
-	}
+		for (let j = 0; j < numBytes; ++j) {
+			const switchEl = group.getByte(j);
+			if (!switchEl) continue;
+			const label = labels[j];
+			if (label) switchEl.label = label;
+			// Set default value for PLAY byte in settings row.
+			if (page === 'main' && isSettingsRow && j === 4) switchEl.value = 0b10111110;
+		}
+	});
 });
 
 const getSelectedByteElement = () => {
@@ -156,6 +196,23 @@ const setSelectedByte = (rowIndex, byteIndex) => {
 	}
 };
 
+const setPage = page => {
+	if (page === currentPage || !pages.includes(page)) return;
+
+	// Keep the same byte position selected on the new page.
+	const selected = selectedByte;
+	getSelectedByteElement()?.classList.remove('expert-focus');
+
+	currentPage = page;
+	pages.forEach(p => {
+		getPageRowGroups(p).forEach(group => {
+			group.hidden = p !== page;
+		});
+	});
+
+	if (selected) setSelectedByte(selected.rowIndex, selected.byteIndex);
+};
+
 const navigateByte = direction => {
 	if (!selectedByte) {
 		setSelectedByte(0, 0);
@@ -386,6 +443,12 @@ const handleKeyDown = e => {
 		return;
 	}
 
+	if (e.key === 'PageUp' || e.key === 'PageDown') {
+		e.preventDefault();
+		setPage(e.key === 'PageUp' ? 'main' : 'channel');
+		return;
+	}
+
 	if (!e.metaKey && !e.ctrlKey && !e.altKey) {
 		if ((e.key === 'p' || e.key === 'P') && !e.repeat) {
 			printFriendly = !printFriendly;
@@ -393,6 +456,17 @@ const handleKeyDown = e => {
 			e.preventDefault();
 			return;
 		}
+		if ((e.key === 'm' || e.key === 'M') && !e.repeat) {
+			handleTap(setRow, clock);
+			e.preventDefault();
+			return;
+		}
+		if ((e.key === 'o' || e.key === 'O') && !e.repeat) {
+			const signalScope = document.getElementById('signal-scope');
+			if (signalScope) signalScope.hidden = !signalScope.hidden;
+			e.preventDefault();
+			return;
+		}
 		const handled = handleKeyboardShortcut(e.key, e);
 		if (handled) {
 			e.preventDefault();
@@ -547,6 +621,44 @@ registerExpertShortcut('t', () => {
 	if (el) el.value = el.value ^ 0xff;
 });
 
+registerExpertShortcut('x', () => {
+	if (!selectedByte || selectedByte.rowIndex === 0) return;
+	const soundBank = getRowSoundBank(getPageRowGroups('main')[selectedByte.rowIndex]);
+	if (sampleLibrary.isImported(soundBank)) resetSampleBank(soundBank);
+});
+
+// How long a message (e.g. a switched sound bank's name) stays on a row's first byte.
+const ROW_LABEL_TIMEOUT_MS = 4000;
+const rowLabelTimeouts = new Map();
+
+/**
+ * Show a message in place of an instrument row's first byte label for a moment
+ * @param {HTMLElement} group - Instrument row group
+ * @param {string} label - Message to show
+ */
+const showRowLabel = (group, label) => {
+	const firstByte = group.getByte(0);
+	if (!firstByte) return;
+	firstByte.label = label;
+	clearTimeout(rowLabelTimeouts.get(group));
+	rowLabelTimeouts.set(
+		group,
+		setTimeout(() => (firstByte.label = rowLabels[group.dataset.page][1][0]), ROW_LABEL_TIMEOUT_MS),
+	);
+};
+
+registerExpertShortcut('k', async () => {
+	if (!selectedByte || selectedByte.rowIndex === 0) return;
+	const group = getPageRowGroups('main')[selectedByte.rowIndex];
+	const soundBank = getRowSoundBank(group);
+	if (await sampleLibrary.cycleSlot(soundBank)) {
+		syncToURL(getPresetRowGroups, getSlotBanks);
+		showRowLabel(group, sampleLibrary.getSlotName(soundBank));
+	} else {
+		showRowLabel(group, 'Imported: x to reset');
+	}
+});
+
 for (let i = 1; i <= 8; i++) {
 	registerExpertShortcut(String(i), () => {
 		const el = byteElement();
@@ -568,9 +680,10 @@ let cachedRowValues = new Map();
 
 const updateRowValuesCache = () => {
 	cachedRowValues.clear();
-	const groups = getAllRowGroups();
+	const groups = getPageRowGroups('main');
+	const channelGroups = getPageRowGroups('channel');
 	groups.forEach((group, i) => {
-		cachedRowValues.set(i, group.value);
+		cachedRowValues.set(i, { ...group.value, channel: channelGroups[i].getAllBytes() });
 	});
 };
 
@@ -578,18 +691,43 @@ const getAllRowValues = () => {
 	return cachedRowValues;
 };
 
-initializePresetSystem(getAllRowGroups, setRow, updateRowValuesCache);
+const getSlotBanks = () => sampleLibrary.getSlotBanks();
+const setSlotBanks = slotBanks => sampleLibrary.setSlotBanks(slotBanks);
 
-const extractVolumeSettings = () => {
+initializePresetSystem(getPresetRowGroups, setRow, updateRowValuesCache, getSlotBanks, setSlotBanks);
+
+document.getElementById('page-button')?.addEventListener('click', () => {
+	setPage(currentPage === 'main' ? 'channel' : 'main');
+});
+
+// Volume bits of the Play byte, whether or not playback is on.
+const extractVolumeLevel = () => {
 	const setRowValue = setRow.value;
 	const notes = setRowValue.notes || 0;
 	const playByte = (notes >> 0) & 0xff;
-	const isOn = (playByte >> 7) & 0b1;
 	const volumeRaw = (playByte >> 1) & 0b111111;
 	const volume = volumeRaw + 1; // Convert 0-63 to 1-64
-	return (isOn * volume) / 64;
+	return volume / 64;
+};
+
+const extractVolumeSettings = () => {
+	const playByte = (setRow.value.notes || 0) & 0xff;
+	const isOn = (playByte >> 7) & 0b1;
+	return isOn * extractVolumeLevel();
 };
 
+initializeTapTempo(setRow, clock);
+
+initializeMidiSystem(midiOutput, midiClockInput);
+
+initializeExportSystem(
+	() => samplePlayer,
+	clock,
+	getAllRowValues,
+	extractVolumeLevel,
+	soundBank => sampleLibrary.getSlotName(soundBank),
+);
+
 const handleTick = async (time, tickCount, settings, isLeader = false) => {
 	if (!samplePlayer) return;
 	const shouldPlay = (setRow.value.notes ?? 0) & 0b1;
@@ -599,26 +737,39 @@ const handleTick = async (time, tickCount, settings, isLeader = false) => {
 	const effectiveTickCount = clock.calculateEffectiveTickCount(tickCount, settings);
 	if (!isLeader) clock.tickCount = tickCount;
 
+	const tickInterval = clock.calculateTickInterval(clock.calculateBPM(settings));
+	const swingOffset = clock.calculateSwingOffset(effectiveTickCount, settings);
+	const stepTime = time;
+	if (time !== null) time += swingOffset;
+
 	const masterVolume = extractVolumeSettings();
 	const rowValues = getAllRowValues();
-	await samplePlayer.processTick(effectiveTickCount, rowValues, masterVolume, time);
+	await samplePlayer.processTick(effectiveTickCount, rowValues, masterVolume, time, tickInterval);
 
 	// Process MIDI output (only if MIDI API is supported)
-	if (midiOutput && MidiOutput.isSupported()) {
+	if (MidiOutput.isSupported()) {
 		const settingsRowNotes = setRow.value.notes ?? 0;
 		// Web MIDI timestamps use the performance.now() timebase, so convert
 		// the AudioContext-relative scheduling delay.
-		const midiTimestamp =
-			time !== null && clock.audioContext
-				? performance.now() + Math.max(0, time - clock.audioContext.currentTime) * 1000
+		const toMidiTimestamp = audioTime =>
+			audioTime !== null && clock.audioContext
+				? performance.now() + Math.max(0, audioTime - clock.audioContext.currentTime) * 1000
 				: 0;
+		const midiTimestamp = toMidiTimestamp(time);
+		// Clock pulses stay straight; swing only moves the notes.
+		await midiOutput.processClock(
+			effectiveTickCount,
+			rowValues.get(0)?.channel?.[3] ?? 0,
+			toMidiTimestamp(stepTime),
+			tickInterval * 1000,
+		);
 		await midiOutput.processTick(
 			effectiveTickCount,
 			rowValues,
 			settingsRowNotes,
-			samplePlayer.extractRowSettings.bind(samplePlayer),
-			samplePlayer.stepCheckers,
+			samplePlayer.evaluateRows.bind(samplePlayer),
 			midiTimestamp,
+			tickInterval * 1000,
 		);
 	}
 };
@@ -635,12 +786,12 @@ document.addEventListener(
 
 async function initializeSequencer() {
 	samplePlayer = new SamplePlayer(clock.audioContext);
+	await sampleLibrary.attachPlayer(samplePlayer);
 
-	await samplePlayer.decodePreloadedSamples(preloadedSampleData);
-	preloadedSampleData = null;
-
-	// Create MIDI output instance but don't initialize until toggle is enabled
-	midiOutput = new MidiOutput();
+	const levelMeter = document.getElementById('level-meter');
+	if (levelMeter) levelMeter.analyser = samplePlayer.analyserNode;
+	const signalScope = document.getElementById('signal-scope');
+	if (signalScope) signalScope.analyser = samplePlayer.analyserNode;
 
 	crossTabSync = new CrossTabSync(clock);
 
@@ -657,12 +808,50 @@ async function initializeSequencer() {
 
 	updateClockBPM();
 	setRow.addEventListener('change', updateClockBPM);
+	getPageRowGroups('channel')[0].addEventListener('change', updateClockBPM);
 }
 
+/**
+ * Play a tick from another tab or external MIDI clock (base tempo = 0)
+ * @param {number|null} time - Audio context time of the tick, or null for a settings-only update
+ * @param {number} tickCount - The leader's max-rate tick count
+ * @param {number} leaderSettings - The leader's settings value, for its base tempo (optional)
+ */
+async function handleFollowerTick(time, tickCount, leaderSettings) {
+	// Extract tempo settings once if provided
+	if (leaderSettings !== undefined && leaderSettings !== null) {
+		const { baseTempo } = clock.extractTempoSettings(leaderSettings);
+		leaderBaseTempo = baseTempo;
+	}
+
+	if (time === null) return;
+
+	if (leaderBaseTempo !== null && leaderBaseTempo > 0) {
+		const currentSettings = setRow.value.settings || 0;
+		const { isMultiply, tempoFactorExponent, swing } = clock.extractTempoSettings(currentSettings);
+
+		// Followers keep their own tempo factor and swing.
+		const effectiveSettings =
+			(leaderBaseTempo << 8) | (isMultiply ? 0x80 : 0x00) | (tempoFactorExponent << 5) | swing;
+
+		await handleTick(time, tickCount, effectiveSettings, false);
+	} else {
+		clock.tickCount = tickCount;
+	}
+}
+
+// Drop anything queued from followed ticks when the external transport stops.
+const cancelFollowedTicks = () => {
+	samplePlayer?.cancelScheduled();
+	midiOutput.cancelScheduled();
+};
+
 async function updateClockBPM() {
 	const setRowValue = setRow.value;
 	const settings = setRowValue.settings || 0;
 	const notes = setRowValue.notes || 0;
+	const syncByte = getPageRowGroups('channel')[0].getByte(3)?.value ?? 0;
+	const isFollowingMidiClock = ((syncByte >> 6) & 0b1) === 1;
 
 	const tempoSettings = clock.extractTempoSettings(settings);
 	const { baseTempo } = tempoSettings;
@@ -672,6 +861,8 @@ async function updateClockBPM() {
 	const maxBPM = clock.calculateMaxBPM(baseTempo);
 
 	const shouldPlay = (notes & 0b1) === 1;
+	const levelMeter = document.getElementById('level-meter');
+	if (levelMeter) levelMeter.playing = shouldPlay;
 
 	const canPlay = shouldPlay && bpm > 0;
 
@@ -693,20 +884,25 @@ async function updateClockBPM() {
 	} else if (!canPlay && clock.isRunning) {
 		clock.stop();
 		// Don't let notes queued in the lookahead window play after a local
-		// clock stops (including when this tab switches to follower mode).
+		// clock stops (including when this tab switches to follower mode), and
+		// stop MIDI devices following it. Ticks from a leader continue them.
 		samplePlayer?.cancelScheduled();
-		midiOutput?.cancelScheduled();
+		midiOutput.cancelScheduled();
+		midiOutput.stopTransport();
 	} else if (!shouldPlay) {
 		// Followers have no running local clock, but can still have notes queued
 		// from leader ticks when playback is switched off.
 		samplePlayer?.cancelScheduled();
-		midiOutput?.cancelScheduled();
+		midiOutput.cancelScheduled();
 	}
 
+	if (!shouldPlay) midiOutput.stopTransport();
+
 	if (crossTabSync) {
 		if (bpm > 0) {
 			clock.isFollowingExternal = false;
 			crossTabSync.stopFollower();
+			midiClockInput.stopFollower();
 			if (canPlay && clock.isRunning) {
 				crossTabSync.startLeader(bpm, maxBPM, settings);
 			} else if (!canPlay) {
@@ -718,27 +914,13 @@ async function updateClockBPM() {
 
 			leaderBaseTempo = null;
 
-			crossTabSync.startFollower(async (time, tickCount, leaderSettings) => {
-				// Extract tempo settings once if provided
-				if (leaderSettings !== undefined && leaderSettings !== null) {
-					const { baseTempo } = clock.extractTempoSettings(leaderSettings);
-					leaderBaseTempo = baseTempo;
-				}
-
-				if (time === null) return;
-
-				if (leaderBaseTempo !== null && leaderBaseTempo > 0) {
-					const currentSettings = setRow.value.settings || 0;
-					const { isMultiply, tempoFactorExponent } = clock.extractTempoSettings(currentSettings);
-
-					const effectiveSettings =
-						(leaderBaseTempo << 8) | (isMultiply ? 0x80 : 0x00) | (tempoFactorExponent << 5);
-
-					await handleTick(time, tickCount, effectiveSettings, false);
-				} else {
-					clock.tickCount = tickCount;
-				}
-			});
+			if (isFollowingMidiClock) {
+				crossTabSync.stopFollower();
+				midiClockInput.startFollower(handleFollowerTick, cancelFollowedTicks);
+			} else {
+				midiClockInput.stopFollower();
+				crossTabSync.startFollower(handleFollowerTick);
+			}
 		}
 	}
 }
@@ -770,56 +952,13 @@ const preloadSamples = async () => {
 	const loadingOverlay = document.getElementById('loading-overlay');
 	if (!loadingOverlay) return;
 
-	const soundBanks = [
-		'drum - koan remnants',
-		'drum - mp pt 4',
-		'drum - alix perez x eprom',
-		'note - noire felt',
-		'note - kontakt jazz guitar',
-		'note - scarbee 1 on the road',
-		'note - hypha spring time',
-		'note - kontakt castles burning',
-	];
-
 	try {
-		const baseUrl = import.meta.env.BASE_URL;
-		const preloadedData = new Map();
-		const loadPromises = [];
-
-		for (let soundBank = 0; soundBank < soundBanks.length; soundBank++) {
-			const bankDir = soundBanks[soundBank];
-			for (let note = 0; note < 8; note++) {
-				const fileNum = String(note + 1).padStart(2, '0');
-				const url = `${baseUrl}samples/${bankDir}/${fileNum}.wav`;
-				const key = `${soundBank}-${note}`;
-
-				loadPromises.push(
-					fetch(url)
-						.then(response => {
-							if (!response.ok) {
-								throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-							}
-							return response.arrayBuffer();
-						})
-						.then(arrayBuffer => {
-							if (arrayBuffer.byteLength === 0) {
-								throw new Error('Empty response');
-							}
-							preloadedData.set(key, arrayBuffer);
-						})
-						.catch(error => {
-							console.error(
-								`Failed to preload sample for sound bank ${soundBank}, note ${note} from ${url}:`,
-								error,
-							);
-						}),
-				);
-			}
-		}
-
-		await Promise.all(loadPromises);
+		await sampleLibrary.initialize();
 
-		preloadedSampleData = preloadedData;
+		// Only wait for the banks the current pattern plays; fetch the rest in the background.
+		const presetSlots = new Set(getPageRowGroups('main').slice(1).map(getRowSoundBank));
+		await sampleLibrary.loadSlots(presetSlots);
+		sampleLibrary.loadSlots(sampleLibrary.getAllSlots().filter(slot => !presetSlots.has(slot)));
 
 		loadingOverlay.classList.add('hidden');
 	} catch (error) {
@@ -828,4 +967,56 @@ const preloadSamples = async () => {
 	}
 };
 
+/**
+ * Get the sound bank an instrument row currently plays (bits 5-3 of its first byte)
+ * @param {HTMLElement} group - Instrument row group
+ * @returns {number}
+ */
+const getRowSoundBank = group => (group.getAllBytes()[0] >> 3) & 0b111;
+
+/**
+ * Import dropped audio files into a sound bank, saying on the row how it went
+ * @param {HTMLElement} group - Instrument row group the files were dropped on
+ * @param {number} soundBank - Sound bank index (0-7)
+ * @param {FileList} fileList - Dropped files
+ * @param {boolean} repitch - Repitch a single file across the scale
+ */
+const importSampleFiles = async (group, soundBank, fileList, repitch) => {
+	const imported = await sampleLibrary.importFiles(soundBank, fileList, repitch);
+	showRowLabel(group, imported ? sampleLibrary.getSlotName(soundBank) : 'Not WAV/AIFF/FLAC/OGG');
+};
+
+/**
+ * Put a bank's factory samples back after confirmation
+ * @param {number} soundBank - Sound bank index (0-7)
+ */
+const resetSampleBank = async soundBank => {
+	const confirmed = await showConfirmDialog(
+		`Reset sound bank ${soundBank + 1} to its factory samples? Your imported samples will be deleted.`,
+		'Reset',
+	);
+	if (!confirmed) return;
+
+	await sampleLibrary.resetSlot(soundBank);
+};
+
+// Dropping audio files on an instrument row replaces the sound bank it plays.
+// Holding Shift while dropping a single file repitches it across the scale.
+pages.forEach(page => {
+	getPageRowGroups(page).forEach((group, i) => {
+		if (i === 0) return;
+		group.addEventListener('dragover', e => {
+			if (!e.dataTransfer?.types.includes('Files')) return;
+			e.preventDefault();
+			group.classList.add('drop-target');
+		});
+		group.addEventListener('dragleave', () => group.classList.remove('drop-target'));
+		group.addEventListener('drop', e => {
+			e.preventDefault();
+			group.classList.remove('drop-target');
+			importSampleFiles(group, getRowSoundBank(getPageRowGroups('main')[i]), e.dataTransfer.files, e.shiftKey);
+		});
+	});
+});
+
 preloadSamples();
@@ -0,0 +1,301 @@
+/**
+ * External MIDI clock follower
+ * Lets a tab with base tempo 0 follow MIDI Timing Clock (0xF8) and Start,
+ * Continue, Stop and Song Position Pointer from an input port, the same way
+ * CrossTabSync lets it follow another tab. Enabled by bit 6 of the MIDI Sync
+ * byte (settings row, channel page byte 3); the port is chosen in the MIDI dialog.
+ *
+ * Clock arrives at 24 pulses per quarter note, with timestamps that jitter
+ * with the device and the OS MIDI stack. The pulse interval is smoothed into a
+ * tempo estimate and each pulse's time is pulled gently towards where that
+ * estimate predicts it, then ticks are scheduled a little ahead of that
+ * predicted time so the jitter that's left is absorbed.
+ *
+ * Ticks are emitted at the sequencer's maximum tick rate, which for a base
+ * tempo that matches the external tempo is two ticks per sixteenth (see
+ * SequencerClock.calculateMaxBPM), so every third pulse is a tick.
+ *
+ * A device that was already playing when the tab started following it has
+ * sent its Start too early to be seen, so until any Start, Continue or Stop
+ * arrives, a quarter note of steady clock counts as a running transport.
+ * Devices that send clock while stopped send Stop too, so they aren't mistaken
+ * for running ones.
+ */
+
+const INPUT_PREF_KEY = 'big-dipper-midi-clock-input';
+const PULSES_PER_QUARTER = 24;
+const PULSES_PER_TICK = 3;
+const PULSES_PER_SIXTEENTH = 6;
+// How quickly the tempo and phase estimates follow the incoming pulses (0-1).
+const TEMPO_SMOOTHING = 0.05;
+const PHASE_SMOOTHING = 0.2;
+// Schedule ticks this far after the predicted pulse time to hide jitter.
+const LATENCY_MS = 50;
+// Without a pulse for this long, assume the clock has stopped.
+const WATCHDOG_MS = 500;
+// Tempo to assume if Start arrives before enough clock to estimate one.
+const DEFAULT_BPM = 120;
+
+export class MidiClockInput {
+	constructor(clock) {
+		this.clock = clock;
+		this.midiAccess = null;
+		this.inputPort = null;
+		this.isFollowing = false;
+		this.isRunning = false;
+		this.isTransportKnown = false;
+		this.tickCallback = null;
+		this.stopCallback = null;
+		this.pulseCount = 0;
+		this.pulseInterval = null;
+		this.lastPulseTime = null;
+		this.predictedPulseTime = null;
+		this.watchdogInterval = null;
+		this.handleMessage = this.handleMessage.bind(this);
+		this.handleStateChange = this.handleStateChange.bind(this);
+	}
+
+	/**
+	 * Check if Web MIDI API is available in this browser
+	 * @returns {boolean}
+	 */
+	static isSupported() {
+		return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+	}
+
+	/**
+	 * Request MIDI access (once) and watch for devices coming and going
+	 * @returns {Promise<boolean>} Whether MIDI is available
+	 */
+	async initialize() {
+		if (this.midiAccess) return true;
+		if (!MidiClockInput.isSupported()) return false;
+
+		try {
+			this.midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+			this.midiAccess.addEventListener('statechange', this.handleStateChange);
+			return true;
+		} catch (error) {
+			console.error('Failed to initialize MIDI input:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * List the available input ports
+	 * @returns {Promise<Array<{id: string, name: string}>>}
+	 */
+	async getInputs() {
+		if (!(await this.initialize())) return [];
+		return Array.from(this.midiAccess.inputs.values(), input => ({ id: input.id, name: input.name }));
+	}
+
+	/**
+	 * Get the chosen input port ID from localStorage
+	 * @returns {string|null} Port ID, or null to use the first input
+	 */
+	getInputId() {
+		try {
+			return localStorage.getItem(INPUT_PREF_KEY);
+		} catch (error) {
+			console.error('Error reading MIDI clock input preference:', error);
+			return null;
+		}
+	}
+
+	/**
+	 * Choose the input port to follow and remember it
+	 * @param {string|null} inputId - Port ID, or null to use the first input
+	 */
+	setInputId(inputId) {
+		try {
+			if (inputId) {
+				localStorage.setItem(INPUT_PREF_KEY, inputId);
+			} else {
+				localStorage.removeItem(INPUT_PREF_KEY);
+			}
+		} catch (error) {
+			console.error('Error saving MIDI clock input preference:', error);
+		}
+		if (this.isFollowing) this.attachInput();
+	}
+
+	/**
+	 * Listen to the chosen input port, or the first one if it isn't connected
+	 */
+	attachInput() {
+		if (!this.midiAccess) return;
+
+		const inputs = Array.from(this.midiAccess.inputs.values()).filter(input => input.state !== 'disconnected');
+		const inputId = this.getInputId();
+		const input = (inputId && inputs.find(port => port.id === inputId)) || inputs[0] || null;
+		if (input === this.inputPort) return;
+
+		this.detachInput();
+		this.inputPort = input;
+		this.isTransportKnown = false;
+		this.inputPort?.addEventListener('midimessage', this.handleMessage);
+	}
+
+	/**
+	 * Stop listening to the current input port
+	 */
+	detachInput() {
+		this.inputPort?.removeEventListener('midimessage', this.handleMessage);
+		this.inputPort = null;
+		this.resetEstimate();
+	}
+
+	/**
+	 * Re-attach when the chosen device is plugged in or the current one goes away
+	 */
+	handleStateChange(event) {
+		if (!this.isFollowing || event.port.type !== 'input') return;
+		if (event.port === this.inputPort && event.port.state === 'disconnected') this.detachInput();
+		this.attachInput();
+	}
+
+	/**
+	 * Start following external clock (base tempo = 0)
+	 * @param {Function} tickCallback - Called with (time, tickCount, settings) like CrossTabSync followers
+	 * @param {Function} stopCallback - Called when the external transport stops
+	 */
+	async startFollower(tickCallback, stopCallback) {
+		if (this.isFollowing) return;
+
+		this.isFollowing = true;
+		this.tickCallback = tickCallback;
+		this.stopCallback = stopCallback;
+
+		if (!(await this.initialize()) || !this.isFollowing) return;
+		this.attachInput();
+
+		this.watchdogInterval = setInterval(() => {
+			if (this.lastPulseTime !== null && performance.now() - this.lastPulseTime > WATCHDOG_MS) {
+				// Keep the transport state and position so the pattern carries on
+				// if clock comes back without a new Start, but re-lock the phase
+				// and drop the notes scheduled ahead of the missing pulses.
+				this.resetEstimate();
+				if (this.isRunning) {
+					this.stopCallback?.();
+				} else if (!this.isTransportKnown) {
+					this.pulseCount = 0;
+				}
+			}
+		}, WATCHDOG_MS / 2);
+	}
+
+	/**
+	 * Stop following external clock
+	 */
+	stopFollower() {
+		if (!this.isFollowing) return;
+
+		this.isFollowing = false;
+		this.isRunning = false;
+		this.tickCallback = null;
+		this.stopCallback = null;
+		this.detachInput();
+
+		if (this.watchdogInterval) {
+			clearInterval(this.watchdogInterval);
+			this.watchdogInterval = null;
+		}
+	}
+
+	/**
+	 * Forget the phase of the incoming clock, keeping the last tempo as a starting point
+	 */
+	resetEstimate() {
+		this.lastPulseTime = null;
+		this.predictedPulseTime = null;
+	}
+
+	/**
+	 * Estimated external tempo
+	 * @returns {number} BPM
+	 */
+	getBPM() {
+		return this.pulseInterval ? 60000 / (this.pulseInterval * PULSES_PER_QUARTER) : DEFAULT_BPM;
+	}
+
+	/**
+	 * Handle a message from the input port
+	 * @param {MIDIMessageEvent} event
+	 */
+	handleMessage(event) {
+		const [status, data1 = 0, data2 = 0] = event.data;
+
+		switch (status) {
+			case 0xf8:
+				this.handlePulse(event.timeStamp || performance.now());
+				break;
+
+			case 0xfa: // Start
+				this.pulseCount = 0;
+				this.isRunning = true;
+				this.isTransportKnown = true;
+				break;
+
+			case 0xfb: // Continue
+				this.isRunning = true;
+				this.isTransportKnown = true;
+				break;
+
+			case 0xfc: // Stop
+				this.isTransportKnown = true;
+				if (this.isRunning) {
+					this.isRunning = false;
+					this.stopCallback?.();
+				}
+				break;
+
+			case 0xf2: // Song Position Pointer, in sixteenths
+				this.pulseCount = (data1 | (data2 << 7)) * PULSES_PER_SIXTEENTH;
+				break;
+		}
+	}
+
+	/**
+	 * Update the tempo and phase estimates from a clock pulse, and emit a tick
+	 * every PULSES_PER_TICK pulses while the transport is running
+	 * @param {number} timeStamp - When the pulse arrived (performance.now() timebase)
+	 */
+	handlePulse(timeStamp) {
+		if (this.lastPulseTime !== null) {
+			const interval = timeStamp - this.lastPulseTime;
+			if (this.pulseInterval === null) {
+				this.pulseInterval = interval;
+			} else {
+				this.pulseInterval += TEMPO_SMOOTHING * (interval - this.pulseInterval);
+			}
+		}
+		this.lastPulseTime = timeStamp;
+
+		if (this.predictedPulseTime === null || this.pulseInterval === null) {
+			this.predictedPulseTime = timeStamp;
+		} else {
+			this.predictedPulseTime += this.pulseInterval;
+			this.predictedPulseTime += PHASE_SMOOTHING * (timeStamp - this.predictedPulseTime);
+		}
+
+		if (!this.isRunning) {
+			if (this.isTransportKnown) return;
+			// No transport messages yet: count steady clock until it looks running.
+			this.pulseCount++;
+			if (this.pulseCount < PULSES_PER_QUARTER) return;
+			this.pulseCount = 0;
+			this.isRunning = true;
+		}
+
+		if (this.pulseCount % PULSES_PER_TICK === 0 && this.tickCallback) {
+			const audioContext = this.clock.audioContext;
+			const delay = Math.max(0, (this.predictedPulseTime + LATENCY_MS - performance.now()) / 1000);
+			const time = audioContext ? audioContext.currentTime + delay : null;
+			// Report the external tempo as a base tempo, as a leader tab's settings would.
+			const baseTempo = Math.min(255, Math.max(1, Math.round(this.getBPM())));
+			this.tickCallback(time, this.pulseCount / PULSES_PER_TICK, baseTempo << 8);
+		}
+		this.pulseCount++;
+	}
+}
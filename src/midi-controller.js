@@ -0,0 +1,49 @@
+/**
+ * MIDI settings controller
+ * Ties the MIDI dialog to the MIDI button
+ */
+
+import { MidiClockInput } from './midi-clock-input.js';
+import { showMidiDialog } from './midi-dialog.js';
+
+// Store the MIDI button handler to allow removal
+let midiButtonHandler = null;
+
+/**
+ * Handle MIDI button click
+ * @param {MidiOutput} midiOutput - The output whose ports are being chosen
+ * @param {MidiClockInput} midiClockInput - The clock follower whose input port is being chosen
+ */
+export async function handleMidiButtonClick(midiOutput, midiClockInput) {
+	if (!MidiClockInput.isSupported()) {
+		console.warn('Web MIDI API not supported in this browser');
+		return;
+	}
+
+	const settings = await showMidiDialog({
+		outputs: await midiOutput.getOutputs(),
+		outputIds: midiOutput.getOutputIds(),
+		inputs: await midiClockInput.getInputs(),
+		clockInputId: midiClockInput.getInputId(),
+	});
+	if (!settings) return;
+
+	midiOutput.setOutputIds(settings.outputIds);
+	midiClockInput.setInputId(settings.clockInputId);
+}
+
+/**
+ * Initialize the MIDI settings
+ * @param {MidiOutput} midiOutput - The output whose ports are being chosen
+ * @param {MidiClockInput} midiClockInput - The clock follower whose input port is being chosen
+ */
+export function initializeMidiSystem(midiOutput, midiClockInput) {
+	const midiButton = document.getElementById('midi-button');
+	if (midiButton) {
+		if (midiButtonHandler) midiButton.removeEventListener('click', midiButtonHandler);
+		midiButtonHandler = () => handleMidiButtonClick(midiOutput, midiClockInput);
+		midiButton.addEventListener('click', midiButtonHandler);
+	} else {
+		console.warn('MIDI button not found');
+	}
+}
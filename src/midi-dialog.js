@@ -0,0 +1,96 @@
+/**
+ * MIDI settings dialog component
+ * Asks which MIDI outputs to send to and which input to follow clock from
+ */
+
+import { createField, showDialog } from './dialog.js';
+
+/**
+ * Create a checkbox row for an output port
+ * @param {{id: string, name: string}} output - Output port
+ * @param {boolean} checked - Whether the port is chosen
+ * @returns {{field: HTMLLabelElement, checkbox: HTMLInputElement}}
+ */
+function createOutputCheckbox(output, checked) {
+	const field = document.createElement('label');
+	field.style.cssText = `
+		display: flex;
+		align-items: center;
+		gap: 0.5rem;
+		margin-bottom: 0.5rem;
+		font-size: 0.9rem;
+		color: rgba(255, 255, 255, 0.87);
+		cursor: pointer;
+	`;
+
+	const checkbox = document.createElement('input');
+	checkbox.type = 'checkbox';
+	checkbox.value = output.id;
+	checkbox.checked = checked;
+
+	const label = document.createElement('span');
+	label.textContent = output.name;
+
+	field.appendChild(checkbox);
+	field.appendChild(label);
+	return { field, checkbox };
+}
+
+/**
+ * Show the MIDI settings dialog
+ * @param {Object} options
+ * @param {Array<{id: string, name: string}>} options.outputs - Available output ports
+ * @param {string[]} options.outputIds - Output ports to send to (empty = first available)
+ * @param {Array<{id: string, name: string}>} options.inputs - Available input ports
+ * @param {string|null} options.clockInputId - Input port to follow clock from (null = first available)
+ * @returns {Promise<{outputIds: string[], clockInputId: string|null}|null>} Chosen settings, or null if cancelled
+ */
+export async function showMidiDialog({ outputs, outputIds, inputs, clockInputId }) {
+	// Create fields
+	const outputList = document.createElement('div');
+	outputList.style.cssText = `
+		margin-bottom: 1rem;
+	`;
+	const outputCheckboxes = [];
+	// Keep remembered ports that aren't plugged in right now, so saving doesn't forget them.
+	const disconnectedOutputs = outputIds
+		.filter(id => !outputs.some(output => output.id === id))
+		.map(id => ({ id, name: 'Disconnected device' }));
+	for (const output of [...outputs, ...disconnectedOutputs]) {
+		const { field, checkbox } = createOutputCheckbox(output, outputIds.includes(output.id));
+		outputCheckboxes.push(checkbox);
+		outputList.appendChild(field);
+	}
+	if (outputCheckboxes.length === 0) {
+		outputList.textContent = 'No MIDI outputs found';
+		outputList.style.color = 'rgba(255, 255, 255, 0.5)';
+	}
+
+	const inputSelect = document.createElement('select');
+	for (const [value, text] of [['', 'First available'], ...inputs.map(input => [input.id, input.name])]) {
+		const option = document.createElement('option');
+		option.value = value;
+		option.textContent = text;
+		inputSelect.appendChild(option);
+	}
+	// Keep a remembered port that isn't plugged in right now selectable.
+	if (clockInputId && !inputs.some(input => input.id === clockInputId)) {
+		const option = document.createElement('option');
+		option.value = clockInputId;
+		option.textContent = 'Disconnected device';
+		inputSelect.appendChild(option);
+	}
+	inputSelect.value = clockInputId ?? '';
+
+	return showDialog({
+		message:
+			'Notes and clock go to every checked output, or the first one if none are checked. With BPM at 0 and the follow switch of the MIDI Sync byte on, Big Dipper follows MIDI clock from the clock input.',
+		content: [outputList, createField('Clock input', inputSelect, '12rem')],
+		confirmText: 'Save',
+		getResult: () => ({
+			outputIds: outputCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+			clockInputId: inputSelect.value || null,
+		}),
+		cancelResult: null,
+	});
+}
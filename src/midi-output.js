@@ -1,21 +1,38 @@
-const SCALE_OFFSETS = [
-	[0, 1, 2, 3, 4, 5, 6, 7], // Chromatic
-	[0, 2, 4, 5, 7, 9, 11, 12], // Major
-	[0, 2, 3, 5, 7, 8, 10, 12], // Minor
-	[0, 2, 4, 7, 9, 12, 14, 16], // Pentatonic
-];
+import { calculateMidiNote, extractScaleSettings } from './scales.js';
+
+const OUTPUTS_PREF_KEY = 'big-dipper-midi-outputs';
+
+// MIDI Timing Clock pulses per sixteenth note (24 per quarter note)
+const CLOCK_PULSES_PER_STEP = 6;
+// Song Position Pointer counts sixteenths in 14 bits. Later positions wrap
+// around every 1024 bars, which keeps them in phase with any pattern whose
+// length is a power of two bars.
+const MAX_SONG_POSITION = 0x3fff;
+// MIDI Gate modes (bits 7-6 of the MIDI Gate byte)
+const GATE_TIE = 0;
+const GATE_STEP = 1;
+const GATE_SHORT = 2;
 
 /**
  * MIDI output handler for the sequencer
- * Sends MIDI note on/off messages when steps are active
+ * Sends MIDI note on/off messages when steps are active, and optionally MIDI
+ * clock and transport messages so other gear can follow the sequencer.
+ * Clock is enabled by bit 7 of the MIDI Sync byte (settings row, channel page byte 3).
+ * Note length is set per row by the MIDI Gate byte (channel page byte 5).
+ * Messages go to every output port chosen in the MIDI dialog (the first port
+ * if none has been chosen), re-attaching as devices are plugged in and out.
  */
 export class MidiOutput {
 	constructor() {
 		this.midiAccess = null;
-		this.outputPort = null;
+		this.outputPorts = [];
+		this.droppedPortIds = new Set(); // Ports unplugged while in use, which may come back with notes stuck
 		this.activeNotes = new Map(); // Track active notes per row to send note off
+		this.queuedNoteOffs = new Map(); // Timed note offs already sent with a future timestamp
 		this.isInitialized = false;
 		this.initializationPromise = null;
+		this.isTransportRunning = false;
+		this.lastPulseTime = 0;
 	}
 
 	/**
@@ -43,16 +60,15 @@ export class MidiOutput {
 		this.initializationPromise = (async () => {
 			try {
 				this.midiAccess = await navigator.requestMIDIAccess({ sysex: false });
-				const outputs = Array.from(this.midiAccess.outputs.values());
+				this.midiAccess.addEventListener('statechange', event => {
+					if (event.port.type === 'output') this.attachOutputs();
+				});
+				this.attachOutputs();
 
-				if (outputs.length === 0) {
+				if (this.outputPorts.length === 0) {
 					console.warn('No MIDI output devices found');
-					this.initializationPromise = null;
-					return false;
 				}
 
-				// Use the first available output
-				this.outputPort = outputs[0];
 				this.isInitialized = true;
 				this.initializationPromise = null;
 				return true;
@@ -66,6 +82,92 @@ export class MidiOutput {
 		return this.initializationPromise;
 	}
 
+	/**
+	 * List the available output ports
+	 * @returns {Promise<Array<{id: string, name: string}>>}
+	 */
+	async getOutputs() {
+		if (!(await this.initialize())) return [];
+		return Array.from(this.midiAccess.outputs.values(), output => ({ id: output.id, name: output.name }));
+	}
+
+	/**
+	 * Get the chosen output port IDs from localStorage
+	 * @returns {string[]} Port IDs, empty to use the first output
+	 */
+	getOutputIds() {
+		try {
+			const stored = localStorage.getItem(OUTPUTS_PREF_KEY);
+			const outputIds = stored ? JSON.parse(stored) : [];
+			return Array.isArray(outputIds) ? outputIds.map(String) : [];
+		} catch (error) {
+			console.error('Error reading MIDI output preference:', error);
+			return [];
+		}
+	}
+
+	/**
+	 * Choose the output ports to send to and remember them
+	 * @param {string[]} outputIds - Port IDs, empty to use the first output
+	 */
+	setOutputIds(outputIds) {
+		try {
+			localStorage.setItem(OUTPUTS_PREF_KEY, JSON.stringify(outputIds));
+		} catch (error) {
+			console.error('Error saving MIDI output preference:', error);
+		}
+		this.attachOutputs();
+	}
+
+	/**
+	 * Send to the chosen output ports that are connected, and release any notes
+	 * left sounding on ports that are no longer chosen
+	 * Ports that were unplugged can't be sent to, so they are silenced when they
+	 * come back instead, and the notes being tracked are released so the next
+	 * steps start them again.
+	 */
+	attachOutputs() {
+		if (!this.midiAccess) return;
+
+		const outputs = Array.from(this.midiAccess.outputs.values()).filter(output => output.state !== 'disconnected');
+		const outputIds = this.getOutputIds();
+		const outputPorts = outputIds.length
+			? outputs.filter(output => outputIds.includes(output.id))
+			: outputs.slice(0, 1);
+
+		for (const port of this.outputPorts) {
+			if (outputPorts.includes(port)) continue;
+			if (outputs.includes(port)) {
+				this.sendAllNotesOff(port);
+			} else {
+				this.droppedPortIds.add(port.id);
+			}
+		}
+		this.outputPorts = outputPorts;
+
+		const returnedPorts = outputs.filter(output => this.droppedPortIds.has(output.id));
+		for (const port of returnedPorts) {
+			this.droppedPortIds.delete(port.id);
+			this.sendAllNotesOff(port);
+		}
+		if (returnedPorts.length > 0) this.allNotesOff();
+	}
+
+	/**
+	 * Send All Notes Off on every channel of a port
+	 * @param {MIDIOutput} port - Port to silence
+	 */
+	sendAllNotesOff(port) {
+		for (let channel = 0; channel < 16; ++channel) {
+			try {
+				port.send([0xb0 | channel, 123, 0]);
+			} catch (error) {
+				console.error('Error sending MIDI All Notes Off:', error);
+				return;
+			}
+		}
+	}
+
 	/**
 	 * Check if MIDI output is enabled
 	 * Enabled by the 3rd bit from the right on the rightmost byte in the settings row
@@ -79,18 +181,51 @@ export class MidiOutput {
 		return ((rightmostByte >> 2) & 0b1) === 1;
 	}
 
+	/**
+	 * Check if MIDI clock output is enabled
+	 * @param {number} syncByte - The MIDI Sync byte from the settings row's channel page
+	 * @returns {boolean}
+	 */
+	isClockEnabled(syncByte) {
+		return ((syncByte >> 7) & 0b1) === 1;
+	}
+
+	/**
+	 * Extract a row's note length settings from its MIDI Gate byte (channel page byte 5)
+	 * - Bits 7-6: mode (0 = tie, held until a step where the row is off; 1 = fraction
+	 *   of a step; 2 = short, 10 ms units; 3 = long, 100 ms units)
+	 * - Bits 5-1: amount (length = amount + 1 units; a step is 32 units)
+	 * - Bit 0: retrigger, so consecutive active steps each start a new note
+	 * @param {number} gateByte - The row's MIDI Gate byte
+	 * @returns {{mode: number, amount: number, retrigger: boolean}}
+	 */
+	extractGateSettings(gateByte) {
+		return {
+			mode: (gateByte >> 6) & 0b11,
+			amount: (gateByte >> 1) & 0b11111,
+			retrigger: (gateByte & 0b1) === 1,
+		};
+	}
+
+	/**
+	 * Calculate how long a note should sound
+	 * @param {{mode: number, amount: number}} gate - Gate settings from extractGateSettings
+	 * @param {number} tickInterval - Length of a step in milliseconds
+	 * @returns {number|null} Note length in milliseconds, or null to tie
+	 */
+	calculateGateLength({ mode, amount }, tickInterval) {
+		if (mode === GATE_TIE) return null;
+		if (mode === GATE_STEP) return ((amount + 1) / 32) * tickInterval;
+		return (amount + 1) * (mode === GATE_SHORT ? 10 : 100);
+	}
+
 	/**
 	 * Extract scale settings from the 3rd settings row byte (byte index 2)
 	 * @param {number} settingsRowNotes - The notes value from the settings row
 	 * @returns {{noteOffset: number, scaleIndex: number}}
 	 */
 	extractScaleSettings(settingsRowNotes) {
-		const scaleByte = (settingsRowNotes >> 16) & 0xff;
-
-		const noteOffset = (scaleByte >> 2) & 0b111111;
-		const scaleIndex = (scaleByte >> 0) & 0b11; // 0-3
-
-		return { noteOffset, scaleIndex };
+		return extractScaleSettings(settingsRowNotes);
 	}
 
 	/**
@@ -101,17 +236,7 @@ export class MidiOutput {
 	 * @returns {number} MIDI note number (0-127)
 	 */
 	calculateMidiNote(noteSelect, noteOffset, scaleIndex) {
-		if (scaleIndex < 0 || scaleIndex >= SCALE_OFFSETS.length) {
-			scaleIndex = 0; // Default to chromatic
-		}
-
-		const scale = SCALE_OFFSETS[scaleIndex];
-		const noteIndex = Math.max(0, Math.min(7, noteSelect));
-		const scaleOffset = scale[noteIndex] || 0;
-
-		// A0 is MIDI note 21, so offset 0 maps to A0
-		const midiNote = 21 + noteOffset + scaleOffset;
-		return Math.max(0, Math.min(127, midiNote));
+		return calculateMidiNote(noteSelect, noteOffset, scaleIndex);
 	}
 
 	/**
@@ -122,17 +247,11 @@ export class MidiOutput {
 	 * @param {number} timestamp - DOMHighResTimeStamp to schedule the send at (optional)
 	 */
 	sendNoteOn(channel, note, velocity = 127, timestamp = 0) {
-		if (!this.outputPort) return;
-
 		const channelByte = 0x90 | (channel & 0x0f); // Note on for channel
 		const noteByte = note & 0x7f;
 		const velocityByte = velocity & 0x7f;
 
-		try {
-			this.outputPort.send([channelByte, noteByte, velocityByte], timestamp);
-		} catch (error) {
-			console.error('Error sending MIDI note on:', error);
-		}
+		this.sendMessage([channelByte, noteByte, velocityByte], timestamp);
 	}
 
 	/**
@@ -142,28 +261,100 @@ export class MidiOutput {
 	 * @param {number} timestamp - DOMHighResTimeStamp to schedule the send at (optional)
 	 */
 	sendNoteOff(channel, note, timestamp = 0) {
-		if (!this.outputPort) return;
-
 		const channelByte = 0x80 | (channel & 0x0f); // Note off for channel
 		const noteByte = note & 0x7f;
 
-		try {
-			this.outputPort.send([channelByte, noteByte, 0], timestamp);
-		} catch (error) {
-			console.error('Error sending MIDI note off:', error);
+		this.sendMessage([channelByte, noteByte, 0], timestamp);
+	}
+
+	/**
+	 * Send a message to every output port, logging rather than throwing if a port rejects it
+	 * @param {number[]} data - MIDI message bytes
+	 * @param {number} timestamp - DOMHighResTimeStamp to schedule the send at (optional)
+	 */
+	sendMessage(data, timestamp = 0) {
+		for (const port of this.outputPorts) {
+			try {
+				port.send(data, timestamp);
+			} catch (error) {
+				console.error('Error sending MIDI message:', error);
+			}
 		}
 	}
 
+	/**
+	 * Send Song Position Pointer
+	 * @param {number} position - Position in sixteenth notes, wrapped to 14 bits
+	 * @param {number} timestamp - DOMHighResTimeStamp to schedule the send at (optional)
+	 */
+	sendSongPosition(position, timestamp = 0) {
+		const value = position & MAX_SONG_POSITION;
+		this.sendMessage([0xf2, value & 0x7f, (value >> 7) & 0x7f], timestamp);
+	}
+
+	/**
+	 * Send MIDI clock for one step, starting the transport first if it isn't running
+	 * Start is sent lazily on the first step after the Play bit goes on, so it can
+	 * share that step's timestamp and say where playback is: Start when the
+	 * pattern is at the top, otherwise Song Position Pointer then Continue.
+	 * @param {number} tickCount - Effective tick count of this step
+	 * @param {number} syncByte - The MIDI Sync byte from the settings row's channel page
+	 * @param {number} timestamp - DOMHighResTimeStamp of the (unswung) step (optional, 0 = immediately)
+	 * @param {number} tickInterval - Length of the step in milliseconds
+	 */
+	async processClock(tickCount, syncByte, timestamp = 0, tickInterval = 0) {
+		if (!this.isClockEnabled(syncByte)) {
+			this.stopTransport();
+			return;
+		}
+
+		if (!this.isInitialized && MidiOutput.isSupported()) {
+			const initialized = await this.initialize();
+			if (!initialized) return;
+		}
+
+		if (this.outputPorts.length === 0) return;
+
+		const startTime = timestamp || performance.now();
+		if (!this.isTransportRunning) {
+			if (tickCount === 0) {
+				this.sendMessage([0xfa], startTime);
+			} else {
+				this.sendSongPosition(tickCount, startTime);
+				this.sendMessage([0xfb], startTime);
+			}
+			this.isTransportRunning = true;
+		}
+
+		const pulseInterval = tickInterval / CLOCK_PULSES_PER_STEP;
+		for (let pulse = 0; pulse < CLOCK_PULSES_PER_STEP; ++pulse) {
+			this.lastPulseTime = startTime + pulse * pulseInterval;
+			this.sendMessage([0xf8], this.lastPulseTime);
+		}
+	}
+
+	/**
+	 * Send Stop if the transport is running
+	 * Pulses already sent with a future timestamp can't be taken back in every
+	 * browser (MIDIOutput.clear isn't implemented in Chrome), so Stop is
+	 * timestamped with the last of them rather than overtaking them.
+	 */
+	stopTransport() {
+		if (!this.isTransportRunning) return;
+		this.sendMessage([0xfc], Math.max(performance.now(), this.lastPulseTime));
+		this.isTransportRunning = false;
+	}
+
 	/**
 	 * Process a tick and send MIDI messages for active steps
 	 * @param {number} tickCount - Current tick count
 	 * @param {Map<number, {settings: number, notes: number}>} rowValues - Map of row indices to values
 	 * @param {number} settingsRowNotes - The notes value from the settings row
-	 * @param {Function} extractRowSettings - Function to extract row settings
-	 * @param {Function[]} stepCheckers - Array of step checker functions
+	 * @param {Function} evaluateRows - Function returning the rows that sound this tick (see SamplePlayer.evaluateRows)
 	 * @param {number} timestamp - DOMHighResTimeStamp to schedule the sends at (optional, 0 = immediately)
+	 * @param {number} tickInterval - Length of this tick in milliseconds, used for ratchets and gate lengths (optional)
 	 */
-	async processTick(tickCount, rowValues, settingsRowNotes, extractRowSettings, stepCheckers, timestamp = 0) {
+	async processTick(tickCount, rowValues, settingsRowNotes, evaluateRows, timestamp = 0, tickInterval = 0) {
 		if (!this.isMidiEnabled(settingsRowNotes)) {
 			// Send note off for all active notes when MIDI is disabled
 			this.allNotesOff();
@@ -178,47 +369,82 @@ export class MidiOutput {
 			}
 		}
 
-		if (!this.outputPort) return;
+		if (this.outputPorts.length === 0) return;
 
 		const { noteOffset, scaleIndex } = this.extractScaleSettings(settingsRowNotes);
-		const instrumentRows = Array.from(rowValues.entries()).slice(1);
 
-		// Calculate solo/mute state (same logic as sample player)
-		let hasAnySolo = false;
-		const rowSettings = new Map();
-		for (const [index, value] of instrumentRows) {
-			const settings = extractRowSettings(value.settings || 0);
-			rowSettings.set(index, settings);
-			if (settings.solo) hasAnySolo = true;
+		const startTime = timestamp || performance.now();
+		const nextStepTime = tickInterval > 0 ? startTime + tickInterval : Infinity;
+
+		for (const [noteKey, noteData] of this.queuedNoteOffs.entries()) {
+			if (noteData.offTime <= performance.now()) this.queuedNoteOffs.delete(noteKey);
 		}
 
 		// Track currently active notes
 		const currentlyActive = new Set();
 
-		for (const [index, value] of instrumentRows) {
-			const settings = rowSettings.get(index);
-			if (!settings || settings.mute || (hasAnySolo && !settings.solo)) continue;
-
-			const stepChecker = stepCheckers[settings.mode];
-			if (!stepChecker) continue;
-
-			const isActive = stepChecker(index, value.notes || 0, tickCount, settings.modeSettings);
-			if (isActive) {
-				const midiNote = this.calculateMidiNote(settings.note, noteOffset, scaleIndex);
-				const noteKey = `${index}-${settings.midiChannel}-${midiNote}`;
-				currentlyActive.add(noteKey);
-
-				// If this note wasn't active before, send note on
-				if (!this.activeNotes.has(noteKey)) {
-					this.sendNoteOn(settings.midiChannel, midiNote, 127, timestamp);
-					this.activeNotes.set(noteKey, { channel: settings.midiChannel, note: midiNote });
+		for (const { index, settings, hits, note, velocity } of evaluateRows(tickCount, rowValues)) {
+			const midiNote = this.calculateMidiNote(note, noteOffset, scaleIndex);
+			const midiVelocity = Math.max(1, Math.round(velocity * 127));
+			const noteKey = `${index}-${settings.midiChannel}-${midiNote}`;
+			currentlyActive.add(noteKey);
+
+			const gate = this.extractGateSettings(rowValues.get(index)?.channel?.[5] ?? 0);
+			const gateLength = this.calculateGateLength(gate, tickInterval);
+			const heldNote = this.activeNotes.get(noteKey);
+
+			if (hits > 1) {
+				// Ratchets retrigger, so release a note held over from the last tick
+				// and send a burst. Each hit but the last follows the gate as if
+				// the hit were a step, ending by the next hit (tied hits run into
+				// each other). The final hit is held like a normal step.
+				const hitInterval = tickInterval / hits;
+				const hitGateLength = this.calculateGateLength(gate, hitInterval);
+				if (heldNote) {
+					this.sendNoteOff(settings.midiChannel, midiNote, startTime);
+				}
+				for (let hit = 0; hit < hits; ++hit) {
+					const hitTime = startTime + hit * hitInterval;
+					this.sendNoteOn(settings.midiChannel, midiNote, midiVelocity, hitTime);
+					if (hit < hits - 1 && hitGateLength !== null) {
+						const hitOffTime = hitTime + Math.min(hitGateLength, hitInterval);
+						this.sendNoteOff(settings.midiChannel, midiNote, hitOffTime);
+					}
 				}
+				const lastHitTime = startTime + (hits - 1) * hitInterval;
+				this.activeNotes.set(noteKey, {
+					channel: settings.midiChannel,
+					note: midiNote,
+					offTime: gateLength === null ? null : lastHitTime + gateLength,
+				});
+			} else if (heldNote && !gate.retrigger) {
+				// Still sounding from the last step, so tie into this one
+				heldNote.offTime = gateLength === null ? null : startTime + gateLength;
+			} else {
+				if (heldNote) {
+					this.sendNoteOff(settings.midiChannel, midiNote, timestamp);
+				}
+				this.sendNoteOn(settings.midiChannel, midiNote, midiVelocity, timestamp);
+				this.activeNotes.set(noteKey, {
+					channel: settings.midiChannel,
+					note: midiNote,
+					offTime: gateLength === null ? null : startTime + gateLength,
+				});
 			}
 		}
 
-		// Send note off for notes that are no longer active
 		for (const [noteKey, noteData] of this.activeNotes.entries()) {
-			if (!currentlyActive.has(noteKey)) {
+			if (noteData.offTime !== null) {
+				// A timed note that ends before the next step can't be tied or
+				// retriggered any more, so its note off can be queued now. Longer
+				// notes wait, so a queued note off can't cut short a later note.
+				if (noteData.offTime < nextStepTime) {
+					this.sendNoteOff(noteData.channel, noteData.note, noteData.offTime);
+					this.queuedNoteOffs.set(noteKey, noteData);
+					this.activeNotes.delete(noteKey);
+				}
+			} else if (!currentlyActive.has(noteKey)) {
+				// Send note off for tied notes that are no longer active
 				this.sendNoteOff(noteData.channel, noteData.note, timestamp);
 				this.activeNotes.delete(noteKey);
 			}
@@ -240,13 +466,19 @@ export class MidiOutput {
 	 * may already have started.
 	 */
 	cancelScheduled() {
-		if (this.outputPort && typeof this.outputPort.clear === 'function') {
+		for (const port of this.outputPorts) {
+			if (typeof port.clear !== 'function') continue;
 			try {
-				this.outputPort.clear();
+				port.clear();
 			} catch (error) {
 				console.error('Error clearing scheduled MIDI messages:', error);
 			}
 		}
+		// Clearing may also have dropped the note offs of timed notes that have started.
+		for (const noteData of this.queuedNoteOffs.values()) {
+			if (noteData.offTime > performance.now()) this.sendNoteOff(noteData.channel, noteData.note);
+		}
+		this.queuedNoteOffs.clear();
 		this.allNotesOff();
 	}
 }
@@ -0,0 +1,98 @@
+/**
+ * Offline rendering of the current pattern
+ * Runs a fresh SamplePlayer on an OfflineAudioContext, driven by the same tick
+ * math as live playback: ticks are generated at the clock's max rate and
+ * filtered with shouldProcessTick / calculateEffectiveTickCount, so tempo
+ * factors and swing come out exactly as they sound in the browser.
+ */
+
+import { SamplePlayer } from './sample-player.js';
+
+const STEPS_PER_BAR = 16;
+// Extra time rendered after the last step so delay and reverb tails ring out.
+const TAIL_SECONDS = 4;
+// Slow tempo factors can make a single bar last hours; refuse to allocate that.
+const MAX_RENDER_SECONDS = 600;
+// Solo and mute flags in a row's settings value (bits 7 and 6 of the first byte).
+const SOLO_BIT = 1 << 15;
+const MUTE_BIT = 1 << 14;
+
+/**
+ * Render the pattern to an AudioBuffer
+ * @param {SamplePlayer} samplePlayer - Live player to copy decoded samples and bank settings from
+ * @param {SequencerClock} clock - Clock providing the tick math
+ * @param {Map<number, {settings: number, notes: number, channel: number[]}>} rowValues - Map of row indices to values
+ * @param {{bars: number, masterVolume?: number}} options - Number of bars and master volume (0-1)
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function renderPattern(samplePlayer, clock, rowValues, { bars, masterVolume = 1 }) {
+	const settings = rowValues.get(0)?.settings || 0;
+	const bpm = clock.calculateBPM(settings);
+	if (bpm <= 0) {
+		throw new Error('Cannot render without a tempo (base tempo is 0)');
+	}
+
+	const { baseTempo } = clock.extractTempoSettings(settings);
+	const maxTickInterval = clock.calculateTickInterval(clock.calculateMaxBPM(baseTempo));
+	const tickInterval = clock.calculateTickInterval(bpm);
+	const stepCount = bars * STEPS_PER_BAR;
+	const seconds = stepCount * tickInterval + TAIL_SECONDS;
+	if (seconds > MAX_RENDER_SECONDS) {
+		throw new Error(`Render would last ${Math.round(seconds)}s (max ${MAX_RENDER_SECONDS}s)`);
+	}
+
+	const { sampleRate } = samplePlayer.audioContext;
+	const context = new OfflineAudioContext(2, Math.ceil(seconds * sampleRate), sampleRate);
+	const offlinePlayer = new SamplePlayer(context);
+	// AudioBuffers aren't tied to a context, so the decoded samples can be shared.
+	offlinePlayer.buffers = new Map(samplePlayer.buffers);
+	offlinePlayer.failedSamples = new Set(samplePlayer.failedSamples);
+	offlinePlayer.repitchRoots = new Map(samplePlayer.repitchRoots);
+
+	for (let tickCount = 0; ; ++tickCount) {
+		if (!clock.shouldProcessTick(tickCount, settings)) continue;
+
+		const effectiveTickCount = clock.calculateEffectiveTickCount(tickCount, settings);
+		if (effectiveTickCount >= stepCount) break;
+
+		const time = tickCount * maxTickInterval + clock.calculateSwingOffset(effectiveTickCount, settings);
+		await offlinePlayer.processTick(effectiveTickCount, rowValues, masterVolume, time, tickInterval);
+	}
+
+	return context.startRendering();
+}
+
+/**
+ * Render each audible instrument row to its own AudioBuffer
+ * Rows that are muted, or left out by another row's solo, get no stem. The
+ * other rows are muted rather than removed so logic-mode rows still see them.
+ * @param {SamplePlayer} samplePlayer - Live player to copy decoded samples and bank settings from
+ * @param {SequencerClock} clock - Clock providing the tick math
+ * @param {Map<number, {settings: number, notes: number, channel: number[]}>} rowValues - Map of row indices to values
+ * @param {{bars: number, masterVolume?: number}} options - Number of bars and master volume (0-1)
+ * @returns {Promise<{index: number, soundBank: number, audioBuffer: AudioBuffer}[]>}
+ */
+export async function renderStems(samplePlayer, clock, rowValues, options) {
+	const instrumentRows = Array.from(rowValues.keys()).slice(1);
+	const rowSettings = new Map(
+		instrumentRows.map(index => [index, samplePlayer.extractRowSettings(rowValues.get(index).settings || 0)]),
+	);
+	const hasAnySolo = Array.from(rowSettings.values()).some(settings => settings.solo);
+
+	const stems = [];
+	for (const index of instrumentRows) {
+		const { solo, mute, midiChannel } = rowSettings.get(index);
+		if (mute || (hasAnySolo && !solo)) continue;
+
+		const isolatedValues = new Map(
+			Array.from(rowValues, ([otherIndex, value]) => {
+				if (otherIndex === 0 || otherIndex === index) return [otherIndex, value];
+				return [otherIndex, { ...value, settings: ((value.settings || 0) & ~SOLO_BIT) | MUTE_BIT }];
+			}),
+		);
+		const audioBuffer = await renderPattern(samplePlayer, clock, isolatedValues, options);
+		stems.push({ index, soundBank: midiChannel, audioBuffer });
+	}
+
+	return stems;
+}
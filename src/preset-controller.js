@@ -12,14 +12,15 @@ let presetButtonHandler = null;
 
 /**
  * Extract preset data from row groups
- * @param {Function} getAllRowGroupsFn - Function that returns all row groups
- * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][]}} Preset data
+ * @param {Function} getAllRowGroupsFn - Function that returns all row groups (main page, then channel page)
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
+ * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][], channelSettingsBytes: number[], channelRowBytes: number[][], slotBanks: number[]}} Preset data
  */
-function extractPresetData(getAllRowGroupsFn) {
+function extractPresetData(getAllRowGroupsFn, getSlotBanksFn) {
 	const groups = getAllRowGroupsFn();
 
-	if (groups.length !== 9) {
-		throw new Error('Expected 9 row groups (1 settings + 8 instrument)');
+	if (groups.length !== 18) {
+		throw new Error('Expected 18 row groups (2 pages of 1 settings + 8 instrument)');
 	}
 
 	// Settings row: first 3 bytes (indices 0, 1, 2)
@@ -32,19 +33,32 @@ function extractPresetData(getAllRowGroupsFn) {
 		instrumentRowBytes.push(groups[i].getAllBytes());
 	}
 
-	return { settingsRowBytes, instrumentRowBytes };
+	// Channel page: all bytes from every row, except the MIDI Sync byte (index 3),
+	// which belongs to the MIDI setup rather than the pattern
+	const channelSettingsBytes = groups[9].getAllBytes();
+	channelSettingsBytes[3] = 0;
+	const channelRowBytes = [];
+	for (let i = 10; i <= 17; i++) {
+		channelRowBytes.push(groups[i].getAllBytes());
+	}
+
+	// Sound bank slots: missing ones leave the preset with the factory banks
+	const slotBanks = getSlotBanksFn ? getSlotBanksFn() : [];
+
+	return { settingsRowBytes, instrumentRowBytes, channelSettingsBytes, channelRowBytes, slotBanks };
 }
 
 /**
  * Apply preset data to row groups
- * @param {Function} getAllRowGroupsFn - Function that returns all row groups
- * @param {{settingsRowBytes: number[], instrumentRowBytes: number[][]}} presetData - Preset data to apply
+ * @param {Function} getAllRowGroupsFn - Function that returns all row groups (main page, then channel page)
+ * @param {{settingsRowBytes: number[], instrumentRowBytes: number[][], channelSettingsBytes: number[], channelRowBytes: number[][], slotBanks: number[]}} presetData - Preset data to apply
+ * @param {Function} setSlotBanksFn - Optional function that switches the sound bank slots to the preset's banks
  */
-function applyPresetData(getAllRowGroupsFn, presetData) {
+function applyPresetData(getAllRowGroupsFn, presetData, setSlotBanksFn) {
 	const groups = getAllRowGroupsFn();
 
-	if (groups.length !== 9) {
-		throw new Error('Expected 9 row groups (1 settings + 8 instrument)');
+	if (groups.length !== 18) {
+		throw new Error('Expected 18 row groups (2 pages of 1 settings + 8 instrument)');
 	}
 
 	// Apply first 3 bytes to settings row (preserve bytes 3 and 4)
@@ -59,15 +73,29 @@ function applyPresetData(getAllRowGroupsFn, presetData) {
 	for (let i = 0; i < 8; i++) {
 		groups[i + 1].setAllBytes(presetData.instrumentRowBytes[i]);
 	}
+
+	// Apply the channel page to every row (preserve the MIDI Sync byte)
+	const channelSettingsAllBytes = [...presetData.channelSettingsBytes];
+	channelSettingsAllBytes[3] = groups[9].getAllBytes()[3];
+	groups[9].setAllBytes(channelSettingsAllBytes);
+	for (let i = 0; i < 8; i++) {
+		groups[i + 10].setAllBytes(presetData.channelRowBytes[i]);
+	}
+
+	if (setSlotBanksFn) {
+		setSlotBanksFn(presetData.slotBanks);
+	}
 }
 
 /**
  * Load preset data and apply to UI
  * @param {number} presetNumber - Preset number (0-127)
  * @param {Function} getAllRowGroupsFn - Function that returns all row groups
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
+ * @param {Function} setSlotBanksFn - Optional function that switches the sound bank slots to a preset's banks
  * @returns {Promise<boolean>} True if preset was loaded successfully, false otherwise
  */
-export function loadPresetData(presetNumber, getAllRowGroupsFn) {
+export function loadPresetData(presetNumber, getAllRowGroupsFn, getSlotBanksFn, setSlotBanksFn) {
 	try {
 		const presetData = loadPreset(presetNumber);
 
@@ -76,10 +104,10 @@ export function loadPresetData(presetNumber, getAllRowGroupsFn) {
 			return false;
 		}
 
-		applyPresetData(getAllRowGroupsFn, presetData);
+		applyPresetData(getAllRowGroupsFn, presetData, setSlotBanksFn);
 
 		// Sync to URL after loading
-		syncToURL(getAllRowGroupsFn);
+		syncToURL(getAllRowGroupsFn, getSlotBanksFn);
 
 		return true;
 	} catch (error) {
@@ -92,14 +120,22 @@ export function loadPresetData(presetNumber, getAllRowGroupsFn) {
  * Save current state to preset
  * @param {number} presetNumber - Preset number (0-127)
  * @param {Function} getAllRowGroupsFn - Function that returns all row groups
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
  */
-export function savePresetData(presetNumber, getAllRowGroupsFn) {
+export function savePresetData(presetNumber, getAllRowGroupsFn, getSlotBanksFn) {
 	try {
-		const presetData = extractPresetData(getAllRowGroupsFn);
-		savePreset(presetNumber, presetData.settingsRowBytes, presetData.instrumentRowBytes);
+		const presetData = extractPresetData(getAllRowGroupsFn, getSlotBanksFn);
+		savePreset(
+			presetNumber,
+			presetData.settingsRowBytes,
+			presetData.instrumentRowBytes,
+			presetData.channelSettingsBytes,
+			presetData.channelRowBytes,
+			presetData.slotBanks,
+		);
 
 		// Sync to URL after saving
-		syncToURL(getAllRowGroupsFn);
+		syncToURL(getAllRowGroupsFn, getSlotBanksFn);
 	} catch (error) {
 		console.error(`Error saving preset ${presetNumber}:`, error);
 		throw error;
@@ -111,8 +147,10 @@ export function savePresetData(presetNumber, getAllRowGroupsFn) {
  * Reads PRESET byte, determines mode and preset number, shows dialog, and executes action
  * @param {Function} getAllRowGroupsFn - Function that returns all row groups
  * @param {HTMLElement} setRow - Settings row element
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
+ * @param {Function} setSlotBanksFn - Optional function that switches the sound bank slots to a preset's banks
  */
-export async function handlePresetButtonClick(getAllRowGroupsFn, setRow) {
+export async function handlePresetButtonClick(getAllRowGroupsFn, setRow, getSlotBanksFn, setSlotBanksFn) {
 	// Read PRESET byte from settings row (byte index 3)
 	const presetByte = setRow.getByte(3)?.value;
 
@@ -139,10 +177,10 @@ export async function handlePresetButtonClick(getAllRowGroupsFn, setRow) {
 
 	if (isSaveMode) {
 		// Save preset
-		savePresetData(presetNumber, getAllRowGroupsFn);
+		savePresetData(presetNumber, getAllRowGroupsFn, getSlotBanksFn);
 	} else {
 		// Load preset
-		loadPresetData(presetNumber, getAllRowGroupsFn);
+		loadPresetData(presetNumber, getAllRowGroupsFn, getSlotBanksFn, setSlotBanksFn);
 	}
 }
 
@@ -152,10 +190,18 @@ export async function handlePresetButtonClick(getAllRowGroupsFn, setRow) {
  * @param {Function} getAllRowGroupsFn - Function that returns all row groups
  * @param {HTMLElement} setRow - Settings row element
  * @param {Function} updateRowValuesCacheFn - Optional function to update row values cache after loading
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
+ * @param {Function} setSlotBanksFn - Optional function that switches the sound bank slots to a preset's banks
  */
-export function initializePresetSystem(getAllRowGroupsFn, setRow, updateRowValuesCacheFn) {
+export function initializePresetSystem(
+	getAllRowGroupsFn,
+	setRow,
+	updateRowValuesCacheFn,
+	getSlotBanksFn,
+	setSlotBanksFn,
+) {
 	// Try to load from URL first
-	const loadedFromURL = loadFromURL(getAllRowGroupsFn);
+	const loadedFromURL = loadFromURL(getAllRowGroupsFn, setSlotBanksFn);
 
 	if (loadedFromURL) {
 		// Update cache if callback provided
@@ -164,21 +210,21 @@ export function initializePresetSystem(getAllRowGroupsFn, setRow, updateRowValue
 		}
 	} else {
 		// Fall back to preset 0
-		loadPresetData(0, getAllRowGroupsFn);
+		loadPresetData(0, getAllRowGroupsFn, getSlotBanksFn, setSlotBanksFn);
 		if (updateRowValuesCacheFn) {
 			updateRowValuesCacheFn();
 		}
 	}
 
 	// Set up automatic URL sync on changes
-	setupURLSync(getAllRowGroupsFn, updateRowValuesCacheFn);
+	setupURLSync(getAllRowGroupsFn, updateRowValuesCacheFn, getSlotBanksFn, setSlotBanksFn);
 
 	// Set up PRESET button click handler
 	const presetButton = document.getElementById('preset-button');
 	if (presetButton) {
 		if (presetButtonHandler) presetButton.removeEventListener('click', presetButtonHandler);
 		presetButtonHandler = () => {
-			handlePresetButtonClick(getAllRowGroupsFn, setRow);
+			handlePresetButtonClick(getAllRowGroupsFn, setRow, getSlotBanksFn, setSlotBanksFn);
 		};
 		presetButton.addEventListener('click', presetButtonHandler);
 	} else {
@@ -1,15 +1,32 @@
 /**
  * Preset encoding/decoding utilities
  * Encodes preset data (settings row first 3 bytes + all instrument row bytes) as Base64URL
+ * Presets with a non-zero channel page append its 53 bytes (5 settings row + 48 instrument row);
+ * presets without one keep the original 51-byte format. Presets whose sound bank slots don't play
+ * the factory banks (slot n plays manifest bank n) append the bank index of each of the 8 slots
+ * after the channel page.
  */
 
+const MAIN_PAGE_LENGTH = 51;
+const CHANNEL_PAGE_LENGTH = 53;
+const SLOT_BANKS_LENGTH = 8;
+
 /**
  * Encode preset data to Base64URL string
  * @param {number[]} settingsRowBytes - First 3 bytes from settings row (indices 0, 1, 2)
  * @param {number[][]} instrumentRowBytes - Array of 8 arrays, each containing 6 bytes from an instrument row
+ * @param {number[]} channelSettingsBytes - 5 bytes from the settings row's channel page (optional)
+ * @param {number[][]} channelRowBytes - Array of 8 arrays, each containing 6 bytes from an instrument row's channel page (optional)
+ * @param {number[]} slotBanks - Manifest bank index each of the 8 sound bank slots plays (optional)
  * @returns {string} Base64URL encoded string
  */
-export function encodePreset(settingsRowBytes, instrumentRowBytes) {
+export function encodePreset(
+	settingsRowBytes,
+	instrumentRowBytes,
+	channelSettingsBytes = [],
+	channelRowBytes = [],
+	slotBanks = [],
+) {
 	if (!Array.isArray(settingsRowBytes) || settingsRowBytes.length < 3) {
 		throw new Error('Settings row must have at least 3 bytes');
 	}
@@ -17,8 +34,24 @@ export function encodePreset(settingsRowBytes, instrumentRowBytes) {
 		throw new Error('Must have exactly 8 instrument rows');
 	}
 
-	// Create Uint8Array with 51 bytes: 3 from settings + 48 from instruments
-	const data = new Uint8Array(51);
+	// Channel page bytes, missing ones read as 0: 5 from the settings row, then 6 from each instrument row
+	const channelBytes = [];
+	for (let i = 0; i < 5; i++) {
+		channelBytes.push(channelSettingsBytes[i] & 0xff);
+	}
+	for (let row = 0; row < 8; row++) {
+		for (let i = 0; i < 6; i++) {
+			channelBytes.push(channelRowBytes[row]?.[i] & 0xff);
+		}
+	}
+	const slotBankBytes = Array.from({ length: SLOT_BANKS_LENGTH }, (_, slot) => (slotBanks[slot] ?? slot) & 0xff);
+	const hasSlotBanks = slotBankBytes.some((bankIndex, slot) => bankIndex !== slot);
+	const hasChannelPage = hasSlotBanks || channelBytes.some(byte => byte !== 0);
+
+	// Create Uint8Array with 51 bytes: 3 from settings + 48 from instruments, plus the channel page and slot banks if set
+	const data = new Uint8Array(
+		MAIN_PAGE_LENGTH + (hasChannelPage ? CHANNEL_PAGE_LENGTH : 0) + (hasSlotBanks ? SLOT_BANKS_LENGTH : 0),
+	);
 
 	// First 3 bytes from settings row
 	for (let i = 0; i < 3; i++) {
@@ -36,6 +69,14 @@ export function encodePreset(settingsRowBytes, instrumentRowBytes) {
 		}
 	}
 
+	if (hasChannelPage) {
+		data.set(channelBytes, offset);
+		offset += CHANNEL_PAGE_LENGTH;
+	}
+	if (hasSlotBanks) {
+		data.set(slotBankBytes, offset);
+	}
+
 	// Convert to Base64, then make it URL-safe
 	const base64 = btoa(String.fromCharCode(...data));
 	// Replace + with -, / with _, and remove padding =
@@ -45,7 +86,7 @@ export function encodePreset(settingsRowBytes, instrumentRowBytes) {
 /**
  * Decode Base64URL string to preset data
  * @param {string} base64String - Base64URL encoded string
- * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][]}} Decoded preset data
+ * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][], channelSettingsBytes: number[], channelRowBytes: number[][], slotBanks: number[]}} Decoded preset data
  */
 export function decodePreset(base64String) {
 	if (!base64String || typeof base64String !== 'string') {
@@ -70,9 +111,16 @@ export function decodePreset(base64String) {
 			data[i] = binaryString.charCodeAt(i);
 		}
 
-		// Validate length (should be exactly 51 bytes)
-		if (data.length !== 51) {
-			throw new Error(`Invalid preset data length: expected 51 bytes, got ${data.length}`);
+		// Validate length (51 bytes, 104 with a channel page, or 112 with slot banks too)
+		const validLengths = [
+			MAIN_PAGE_LENGTH,
+			MAIN_PAGE_LENGTH + CHANNEL_PAGE_LENGTH,
+			MAIN_PAGE_LENGTH + CHANNEL_PAGE_LENGTH + SLOT_BANKS_LENGTH,
+		];
+		if (!validLengths.includes(data.length)) {
+			throw new Error(
+				`Invalid preset data length: expected ${validLengths.join(' or ')} bytes, got ${data.length}`,
+			);
 		}
 
 		// Extract first 3 bytes for settings row
@@ -93,7 +141,14 @@ export function decodePreset(base64String) {
 			offset += 6;
 		}
 
-		return { settingsRowBytes, instrumentRowBytes };
+		// Extract the channel page, which reads as all zeros in 51-byte presets
+		const channelSettingsBytes = Array.from({ length: 5 }, () => data[offset++] ?? 0);
+		const channelRowBytes = Array.from({ length: 8 }, () => Array.from({ length: 6 }, () => data[offset++] ?? 0));
+
+		// Extract the slot banks, which are the factory banks unless stored
+		const slotBanks = Array.from({ length: SLOT_BANKS_LENGTH }, (_, slot) => data[offset++] ?? slot);
+
+		return { settingsRowBytes, instrumentRowBytes, channelSettingsBytes, channelRowBytes, slotBanks };
 	} catch (error) {
 		throw new Error(`Failed to decode preset: ${error.message}`);
 	}
@@ -74,7 +74,7 @@ function saveUserPreset(presetNumber, base64Data) {
 /**
  * Get preset data (user presets take precedence over default presets)
  * @param {number} presetNumber - Preset number (0-127)
- * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][]}|null} Decoded preset data or null if not found
+ * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][], channelSettingsBytes: number[], channelRowBytes: number[][], slotBanks: number[]}|null} Decoded preset data or null if not found
  */
 export function getPreset(presetNumber) {
 	if (presetNumber < 0 || presetNumber > 127) {
@@ -116,20 +116,36 @@ export function getPreset(presetNumber) {
  * @param {number} presetNumber - Preset number (0-127)
  * @param {number[]} settingsRowBytes - First 3 bytes from settings row
  * @param {number[][]} instrumentRowBytes - Array of 8 arrays, each containing 6 bytes
+ * @param {number[]} channelSettingsBytes - 5 bytes from the settings row's channel page (optional)
+ * @param {number[][]} channelRowBytes - Array of 8 arrays, each containing 6 channel page bytes (optional)
+ * @param {number[]} slotBanks - Manifest bank index each of the 8 sound bank slots plays (optional)
  */
-export function savePreset(presetNumber, settingsRowBytes, instrumentRowBytes) {
+export function savePreset(
+	presetNumber,
+	settingsRowBytes,
+	instrumentRowBytes,
+	channelSettingsBytes,
+	channelRowBytes,
+	slotBanks,
+) {
 	if (presetNumber < 0 || presetNumber > 127) {
 		throw new Error(`Invalid preset number: ${presetNumber} (must be 0-127)`);
 	}
 
-	const base64Data = encodePreset(settingsRowBytes, instrumentRowBytes);
+	const base64Data = encodePreset(
+		settingsRowBytes,
+		instrumentRowBytes,
+		channelSettingsBytes,
+		channelRowBytes,
+		slotBanks,
+	);
 	saveUserPreset(presetNumber, base64Data);
 }
 
 /**
  * Load preset and return decoded data (alias for getPreset for consistency)
  * @param {number} presetNumber - Preset number (0-127)
- * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][]}|null} Decoded preset data or null if not found
+ * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][], channelSettingsBytes: number[], channelRowBytes: number[][], slotBanks: number[]}|null} Decoded preset data or null if not found
  */
 export function loadPreset(presetNumber) {
 	return getPreset(presetNumber);
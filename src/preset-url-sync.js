@@ -7,14 +7,15 @@ import { encodePreset, decodePreset } from './preset-encoder.js';
 
 /**
  * Extract preset data from row groups
- * @param {Function} getAllRowGroupsFn - Function that returns all row groups
- * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][]}} Preset data
+ * @param {Function} getAllRowGroupsFn - Function that returns all row groups (main page, then channel page)
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
+ * @returns {{settingsRowBytes: number[], instrumentRowBytes: number[][], channelSettingsBytes: number[], channelRowBytes: number[][], slotBanks: number[]}} Preset data
  */
-function extractPresetData(getAllRowGroupsFn) {
+function extractPresetData(getAllRowGroupsFn, getSlotBanksFn) {
 	const groups = getAllRowGroupsFn();
 
-	if (groups.length !== 9) {
-		throw new Error('Expected 9 row groups (1 settings + 8 instrument)');
+	if (groups.length !== 18) {
+		throw new Error('Expected 18 row groups (2 pages of 1 settings + 8 instrument)');
 	}
 
 	// Settings row: first 3 bytes (indices 0, 1, 2)
@@ -27,19 +28,32 @@ function extractPresetData(getAllRowGroupsFn) {
 		instrumentRowBytes.push(groups[i].getAllBytes());
 	}
 
-	return { settingsRowBytes, instrumentRowBytes };
+	// Channel page: all bytes from every row, except the MIDI Sync byte (index 3),
+	// which belongs to the MIDI setup rather than the pattern
+	const channelSettingsBytes = groups[9].getAllBytes();
+	channelSettingsBytes[3] = 0;
+	const channelRowBytes = [];
+	for (let i = 10; i <= 17; i++) {
+		channelRowBytes.push(groups[i].getAllBytes());
+	}
+
+	// Sound bank slots: missing ones leave the preset with the factory banks
+	const slotBanks = getSlotBanksFn ? getSlotBanksFn() : [];
+
+	return { settingsRowBytes, instrumentRowBytes, channelSettingsBytes, channelRowBytes, slotBanks };
 }
 
 /**
  * Apply preset data to row groups
- * @param {Function} getAllRowGroupsFn - Function that returns all row groups
- * @param {{settingsRowBytes: number[], instrumentRowBytes: number[][]}} presetData - Preset data to apply
+ * @param {Function} getAllRowGroupsFn - Function that returns all row groups (main page, then channel page)
+ * @param {{settingsRowBytes: number[], instrumentRowBytes: number[][], channelSettingsBytes: number[], channelRowBytes: number[][], slotBanks: number[]}} presetData - Preset data to apply
+ * @param {Function} setSlotBanksFn - Optional function that switches the sound bank slots to the preset's banks
  */
-function applyPresetData(getAllRowGroupsFn, presetData) {
+function applyPresetData(getAllRowGroupsFn, presetData, setSlotBanksFn) {
 	const groups = getAllRowGroupsFn();
 
-	if (groups.length !== 9) {
-		throw new Error('Expected 9 row groups (1 settings + 8 instrument)');
+	if (groups.length !== 18) {
+		throw new Error('Expected 18 row groups (2 pages of 1 settings + 8 instrument)');
 	}
 
 	// Apply first 3 bytes to settings row (preserve bytes 3 and 4)
@@ -54,16 +68,35 @@ function applyPresetData(getAllRowGroupsFn, presetData) {
 	for (let i = 0; i < 8; i++) {
 		groups[i + 1].setAllBytes(presetData.instrumentRowBytes[i]);
 	}
+
+	// Apply the channel page to every row (preserve the MIDI Sync byte)
+	const channelSettingsAllBytes = [...presetData.channelSettingsBytes];
+	channelSettingsAllBytes[3] = groups[9].getAllBytes()[3];
+	groups[9].setAllBytes(channelSettingsAllBytes);
+	for (let i = 0; i < 8; i++) {
+		groups[i + 10].setAllBytes(presetData.channelRowBytes[i]);
+	}
+
+	if (setSlotBanksFn) {
+		setSlotBanksFn(presetData.slotBanks);
+	}
 }
 
 /**
  * Sync current state to URL hash
  * @param {Function} getAllRowGroupsFn - Function that returns all row groups
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
  */
-export function syncToURL(getAllRowGroupsFn) {
+export function syncToURL(getAllRowGroupsFn, getSlotBanksFn) {
 	try {
-		const presetData = extractPresetData(getAllRowGroupsFn);
-		const encoded = encodePreset(presetData.settingsRowBytes, presetData.instrumentRowBytes);
+		const presetData = extractPresetData(getAllRowGroupsFn, getSlotBanksFn);
+		const encoded = encodePreset(
+			presetData.settingsRowBytes,
+			presetData.instrumentRowBytes,
+			presetData.channelSettingsBytes,
+			presetData.channelRowBytes,
+			presetData.slotBanks,
+		);
 
 		// Update URL hash without triggering navigation
 		const url = new URL(window.location.href);
@@ -77,9 +110,10 @@ export function syncToURL(getAllRowGroupsFn) {
 /**
  * Load preset from URL if present
  * @param {Function} getAllRowGroupsFn - Function that returns all row groups
+ * @param {Function} setSlotBanksFn - Optional function that switches the sound bank slots to the preset's banks
  * @returns {boolean} True if preset was loaded from URL, false otherwise
  */
-export function loadFromURL(getAllRowGroupsFn) {
+export function loadFromURL(getAllRowGroupsFn, setSlotBanksFn) {
 	try {
 		const url = new URL(window.location.href);
 		const hash = url.hash;
@@ -91,7 +125,7 @@ export function loadFromURL(getAllRowGroupsFn) {
 		}
 
 		const presetData = decodePreset(encoded);
-		applyPresetData(getAllRowGroupsFn, presetData);
+		applyPresetData(getAllRowGroupsFn, presetData, setSlotBanksFn);
 		return true;
 	} catch (error) {
 		console.error('Error loading from URL:', error);
@@ -103,14 +137,16 @@ export function loadFromURL(getAllRowGroupsFn) {
  * Set up automatic URL sync on changes
  * @param {Function} getAllRowGroupsFn - Function that returns all row groups
  * @param {Function} onChangeCallback - Optional callback to call after URL sync
+ * @param {Function} getSlotBanksFn - Optional function that returns the bank each sound bank slot plays
+ * @param {Function} setSlotBanksFn - Optional function that switches the sound bank slots to a preset's banks
  */
-export function setupURLSync(getAllRowGroupsFn, onChangeCallback) {
+export function setupURLSync(getAllRowGroupsFn, onChangeCallback, getSlotBanksFn, setSlotBanksFn) {
 	// Sync to URL whenever any row group changes
 	document.addEventListener(
 		'change',
 		e => {
 			if (e.target.closest('dip-switch-group')) {
-				syncToURL(getAllRowGroupsFn);
+				syncToURL(getAllRowGroupsFn, getSlotBanksFn);
 				if (onChangeCallback) {
 					onChangeCallback();
 				}
@@ -121,7 +157,7 @@ export function setupURLSync(getAllRowGroupsFn, onChangeCallback) {
 
 	// Listen for URL hash changes (when user types new preset code in URL)
 	window.addEventListener('hashchange', () => {
-		const loaded = loadFromURL(getAllRowGroupsFn);
+		const loaded = loadFromURL(getAllRowGroupsFn, setSlotBanksFn);
 		if (loaded && onChangeCallback) {
 			onChangeCallback();
 		}
@@ -0,0 +1,287 @@
+import { deleteImportedBank, loadImportedBanks, saveImportedBank } from './sample-store.js';
+
+// Rows pick one of 8 sound bank slots (bits 5-3 of their first byte). Each
+// slot plays a bank from the manifest, or samples the user imported into it.
+// Which bank is part of the preset; by default slot n plays manifest bank n.
+const SLOT_COUNT = 8;
+// A single file imported with repitching on is treated as recorded at middle C.
+const IMPORTED_ROOT_NOTE = 60;
+const AUDIO_FILE_PATTERN = /\.(wav|aiff?|flac|ogg)$/i;
+// Always available after the manifest's banks. It has no files, so the sample
+// player's synthesized fallback voices play instead.
+const SYNTH_BANK = { dir: 'synth', name: 'Synth', rootNote: null, files: [] };
+
+/**
+ * Sample bank library
+ * Knows which bank each slot plays, fetches banks lazily from the build-time
+ * manifest (see vite-plugin-sample-manifest.js) and hands the files to the
+ * sample player once it exists.
+ */
+export class SampleLibrary {
+	/**
+	 * @param {string} baseUrl - Base URL the samples directory is served under
+	 */
+	constructor(baseUrl) {
+		this.baseUrl = baseUrl;
+		this.banks = [];
+		this.slots = Array.from({ length: SLOT_COUNT }, (_, slot) => slot);
+		this.isInitialized = false;
+		this.importedBanks = new Map();
+		this.fileFetches = new Map();
+		this.pendingBanks = new Map();
+		this.slotLoadIds = new Map();
+		this.samplePlayer = null;
+	}
+
+	/**
+	 * Load the bank manifest and any imported banks
+	 */
+	async initialize() {
+		try {
+			const response = await fetch(`${this.baseUrl}samples/manifest.json`);
+			if (!response.ok) {
+				throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+			}
+			({ banks: this.banks = [] } = await response.json());
+		} catch (error) {
+			console.error('Failed to load sample manifest:', error);
+		}
+		this.banks.push(SYNTH_BANK);
+
+		try {
+			this.importedBanks = await loadImportedBanks();
+		} catch (error) {
+			console.error('Error loading imported samples:', error);
+		}
+		this.isInitialized = true;
+	}
+
+	/**
+	 * Get the manifest bank index each slot plays
+	 * @returns {number[]}
+	 */
+	getSlotBanks() {
+		return [...this.slots];
+	}
+
+	/**
+	 * Switch every slot to a bank, e.g. from a preset, reloading the slots that changed
+	 * Before initialize, the slots are only remembered and load with the rest.
+	 * @param {number[]} slotBanks - Manifest bank index for each slot
+	 */
+	setSlotBanks(slotBanks) {
+		const changed = this.getAllSlots().filter(slot => (slotBanks[slot] ?? slot) !== this.slots[slot]);
+		this.slots = Array.from({ length: SLOT_COUNT }, (_, slot) => slotBanks[slot] ?? slot);
+		if (this.isInitialized) this.loadSlots(changed);
+	}
+
+	/**
+	 * Get the manifest bank a slot plays
+	 * A bank index past the end of the manifest (e.g. from a preset made with
+	 * more banks) falls back to the slot's factory bank.
+	 * @param {number} slot - Sound bank slot (0-7)
+	 * @returns {{dir: string, name: string, rootNote: number|null, files: string[]}|undefined}
+	 */
+	getSlotBank(slot) {
+		return this.banks[this.slots[slot]] ?? this.banks[slot];
+	}
+
+	/**
+	 * Get a display name for what a slot plays
+	 * @param {number} slot - Sound bank slot (0-7)
+	 * @returns {string}
+	 */
+	getSlotName(slot) {
+		if (this.importedBanks.has(slot)) return `Imported ${slot + 1}`;
+		return this.getSlotBank(slot)?.name ?? `Bank ${slot + 1}`;
+	}
+
+	/**
+	 * Check whether a slot plays imported samples
+	 * @param {number} slot - Sound bank slot (0-7)
+	 * @returns {boolean}
+	 */
+	isImported(slot) {
+		return this.importedBanks.has(slot);
+	}
+
+	/**
+	 * Fetch a manifest bank's files, once per file so banks sharing a folder share them
+	 * @param {{dir: string, files: string[]}} bank
+	 * @returns {Promise<(ArrayBuffer|null)[]>} File contents in manifest order, null where a fetch failed
+	 */
+	fetchBank(bank) {
+		const filePromises = bank.files.map(file => {
+			const url = `${this.baseUrl}samples/${bank.dir}/${file}`;
+			if (!this.fileFetches.has(url)) {
+				const filePromise = fetch(url)
+					.then(response => {
+						if (!response.ok) {
+							throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+						}
+						return response.arrayBuffer();
+					})
+					.then(arrayBuffer => {
+						if (arrayBuffer.byteLength === 0) {
+							throw new Error('Empty response');
+						}
+						return arrayBuffer;
+					})
+					.catch(error => {
+						console.error(`Failed to load sample ${file} of ${bank.name} from ${url}:`, error);
+						return null;
+					});
+				this.fileFetches.set(url, filePromise);
+			}
+			return this.fileFetches.get(url);
+		});
+		return Promise.all(filePromises);
+	}
+
+	/**
+	 * Load whatever a slot plays into the sample player
+	 * If the player doesn't exist yet, the files wait until attachPlayer.
+	 * @param {number} slot - Sound bank slot (0-7)
+	 */
+	async loadSlot(slot) {
+		const loadId = (this.slotLoadIds.get(slot) ?? 0) + 1;
+		this.slotLoadIds.set(slot, loadId);
+
+		let rootNote = null;
+		let files = [];
+		const imported = this.importedBanks.get(slot);
+		if (imported) {
+			rootNote = imported.rootNote;
+			files = imported.files.map(file => file.data);
+		} else {
+			// Slots past the end of the manifest play the synth.
+			const bank = this.getSlotBank(slot) ?? SYNTH_BANK;
+			rootNote = bank.rootNote;
+			files = await this.fetchBank(bank);
+		}
+
+		// A newer load (e.g. the slot was switched again) takes precedence.
+		if (this.slotLoadIds.get(slot) !== loadId) return;
+
+		// Repitched banks only need their first file; otherwise cycle the files
+		// across the 8 notes. Notes without a file (or whose fetch failed) are
+		// left null so the sample player knows to use its synth voice.
+		const bankData = new Map();
+		const noteCount = rootNote !== null ? 1 : 8;
+		for (let note = 0; note < noteCount; note++) {
+			bankData.set(`${slot}-${note}`, files[note % files.length] ?? null);
+		}
+
+		if (this.samplePlayer) {
+			await this.applyBank(slot, loadId, rootNote, bankData);
+		} else {
+			this.pendingBanks.set(slot, { loadId, rootNote, bankData });
+		}
+	}
+
+	/**
+	 * Load several slots at once
+	 * @param {Iterable<number>} slots - Sound bank slots (0-7)
+	 */
+	async loadSlots(slots) {
+		await Promise.all(Array.from(slots, slot => this.loadSlot(slot)));
+	}
+
+	/**
+	 * Get every slot number
+	 * @returns {number[]}
+	 */
+	getAllSlots() {
+		return Array.from({ length: SLOT_COUNT }, (_, slot) => slot);
+	}
+
+	/**
+	 * Decode a slot's samples and replace the ones in the sample player
+	 * The slot keeps playing its old samples while the new ones decode.
+	 * @param {number} slot - Sound bank slot (0-7)
+	 * @param {number} loadId - The loadSlot call the samples come from
+	 * @param {number|null} rootNote - Root to repitch from, or null for one file per note
+	 * @param {Map<string, ArrayBuffer|null>} bankData - Map of `${slot}-${note}` keys to file contents, null where missing
+	 */
+	async applyBank(slot, loadId, rootNote, bankData) {
+		const decoded = await this.samplePlayer.decodeSamples(bankData);
+		// A newer load may have started (or finished) while these decoded.
+		if (this.slotLoadIds.get(slot) !== loadId) return;
+		this.samplePlayer.setBank(slot, rootNote, decoded);
+	}
+
+	/**
+	 * Hand the sample player everything loaded so far; later loads go straight to it
+	 * @param {SamplePlayer} samplePlayer
+	 */
+	async attachPlayer(samplePlayer) {
+		this.samplePlayer = samplePlayer;
+		const pendingBanks = Array.from(this.pendingBanks);
+		this.pendingBanks.clear();
+		for (const [slot, { loadId, rootNote, bankData }] of pendingBanks) {
+			await this.applyBank(slot, loadId, rootNote, bankData);
+		}
+	}
+
+	/**
+	 * Switch a slot to the next bank in the manifest
+	 * @param {number} slot - Sound bank slot (0-7)
+	 * @returns {Promise<boolean>} False if the slot plays imported samples and wasn't switched
+	 */
+	async cycleSlot(slot) {
+		if (this.importedBanks.has(slot) || this.banks.length === 0) return false;
+
+		const bankIndex = this.banks.indexOf(this.getSlotBank(slot));
+		this.slots[slot] = (bankIndex + 1) % this.banks.length;
+		await this.loadSlot(slot);
+		return true;
+	}
+
+	/**
+	 * Import audio files into a slot, replacing its bank
+	 * Files are sorted by name and assigned to notes 1-8, cycling if there are
+	 * fewer than 8, so a single file plays as-is on every note unless it's
+	 * asked to be repitched across the scale.
+	 * @param {number} slot - Sound bank slot (0-7)
+	 * @param {FileList|File[]} fileList - Files to import
+	 * @param {boolean} repitch - Repitch a single file across the scale (optional)
+	 * @returns {Promise<boolean>} False if none of the files were audio files
+	 */
+	async importFiles(slot, fileList, repitch = false) {
+		const files = Array.from(fileList)
+			.filter(file => AUDIO_FILE_PATTERN.test(file.name))
+			.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+			.slice(0, 8);
+		if (files.length === 0) return false;
+
+		const record = {
+			soundBank: slot,
+			rootNote: repitch && files.length === 1 ? IMPORTED_ROOT_NOTE : null,
+			files: await Promise.all(files.map(async file => ({ name: file.name, data: await file.arrayBuffer() }))),
+		};
+		this.importedBanks.set(slot, record);
+
+		try {
+			await saveImportedBank(record);
+		} catch (error) {
+			console.error(`Error saving imported samples for sound bank ${slot}:`, error);
+		}
+
+		await this.loadSlot(slot);
+		return true;
+	}
+
+	/**
+	 * Delete a slot's imported samples and go back to its manifest bank
+	 * @param {number} slot - Sound bank slot (0-7)
+	 */
+	async resetSlot(slot) {
+		this.importedBanks.delete(slot);
+		try {
+			await deleteImportedBank(slot);
+		} catch (error) {
+			console.error(`Error deleting imported samples for sound bank ${slot}:`, error);
+		}
+		await this.loadSlot(slot);
+	}
+}
@@ -1,3 +1,53 @@
+import { ChannelStrip, extractEnvelopeSettings, extractPlaybackSettings } from './channel-strip.js';
+import { BASE_MIDI_NOTE, calculateMidiNote, extractScaleSettings } from './scales.js';
+import { seededRandom } from './seeded-random.js';
+import { createSynthBuffers } from './synth-voices.js';
+
+// Level of unaccented hits in rows that have accents enabled.
+const UNACCENTED_VELOCITY = 0.6;
+
+// Slice mode splits a bank's first sample into one slice per note.
+const SLICE_COUNT = 8;
+
+// Auto-pan sweep mode moves across the stereo field and back once per bar.
+const AUTO_PAN_SWEEP_STEPS = 16;
+
+// How quickly a choked voice fades out when the next one starts.
+const CHOKE_TIME_CONSTANT = 0.005;
+
+// Longest echo the delay bus can produce.
+const MAX_DELAY_SECONDS = 4;
+
+// Master limiter: fast, hard compression just under full scale.
+const LIMITER_THRESHOLD_DB = -1;
+const LIMITER_RATIO = 20;
+const LIMITER_ATTACK_SECONDS = 0.003;
+const LIMITER_RELEASE_SECONDS = 0.1;
+
+// Feedback taps for LFSR mode (bit 31 is the first stage). Tapping only bit 31
+// rotates the register, looping the seed every 32 steps; denser masks give
+// longer and less repetitive sequences.
+const LFSR_TAP_MASKS = [0x80000000, 0x80000001, 0x80000100, 0x80010000, 0x80000003, 0x80000101, 0x80010001, 0x80200003];
+const LFSR_OUTPUT_BITS = [31, 23, 15, 7];
+
+// Curated Wolfram rules for cellular automaton mode, chaotic and classic first.
+const CELLULAR_AUTOMATON_RULES = [
+	30, 90, 110, 184, 45, 150, 105, 73, 54, 18, 22, 26, 57, 60, 62, 94, 102, 106, 122, 126, 129, 135, 137, 146, 149,
+	161, 169, 182, 193, 195, 225, 250,
+];
+
+// Boolean operators for logic mode, combining source rows A and B.
+const LOGIC_OPERATORS = [
+	(a, b) => a && b, // AND
+	(a, b) => a || b, // OR
+	(a, b) => a !== b, // XOR
+	(a, b) => !(a && b), // NAND
+	(a, b) => !(a || b), // NOR
+	(a, b) => a === b, // XNOR
+	(a, b) => a && !b, // A AND NOT B
+	(a, b) => !a && b, // B AND NOT A
+];
+
 /**
  * Sample player for step sequencer
  * Loads audio samples and plays them when steps are active
@@ -6,46 +56,272 @@ export class SamplePlayer {
 	constructor(audioContext) {
 		this.audioContext = audioContext;
 		this.buffers = new Map();
+		this.failedSamples = new Set();
 		this.euclideanCache = new Map();
+		this.lfsrCache = new Map();
+		this.automatonCache = new Map();
 		this.masterGainNode = null;
 		this.pendingSources = new Set();
+		this.repitchRoots = new Map();
+		this.synthBuffers = null;
+		this.reversedBuffers = new WeakMap();
+		this.channelStrips = new Map();
+		this.lastEffectsKey = null;
 		this.setupMasterGain();
-		// Checks if a step is active for a given step / mode / settings.
+		this.setupEffects();
+		// Checks if a step is active for a given step / mode / settings. Checkers
+		// return a boolean, a hit count for modes that can retrigger, or a
+		// {hits, note, velocity} object with any of those keys. They also
+		// receive a function that reports whether another row is active.
 		this.stepCheckers = [
 			this.isStepActive,
 			this.isStepActiveEuclidean,
-			// Modes 2-7 reserved for future use.
+			this.isStepActiveProbability,
+			this.isStepActiveLfsr,
+			this.isStepActiveAutomaton,
+			this.getRatchetHits,
+			this.getArpeggioStep,
+			this.isStepActiveLogic,
 		].map(fn => fn.bind(this));
 	}
 
+	/**
+	 * Create the master bus: gain → limiter (or bypass) → analyser → output
+	 * The limiter and bypass paths are switched with gains so toggling the
+	 * limiter can be scheduled like any other parameter.
+	 */
 	setupMasterGain() {
 		if (this.masterGainNode) return;
 		this.masterGainNode = this.audioContext.createGain();
 		this.masterGainNode.gain.value = 1.0;
-		this.masterGainNode.connect(this.audioContext.destination);
+
+		this.limiterNode = this.audioContext.createDynamicsCompressor();
+		this.limiterNode.threshold.value = LIMITER_THRESHOLD_DB;
+		this.limiterNode.knee.value = 0;
+		this.limiterNode.ratio.value = LIMITER_RATIO;
+		this.limiterNode.attack.value = LIMITER_ATTACK_SECONDS;
+		this.limiterNode.release.value = LIMITER_RELEASE_SECONDS;
+		this.limiterGainNode = this.audioContext.createGain();
+		this.limiterGainNode.gain.value = 1;
+		this.bypassGainNode = this.audioContext.createGain();
+		this.bypassGainNode.gain.value = 0;
+
+		this.analyserNode = this.audioContext.createAnalyser();
+		this.analyserNode.fftSize = 2048;
+
+		this.masterGainNode.connect(this.limiterNode);
+		this.limiterNode.connect(this.limiterGainNode);
+		this.limiterGainNode.connect(this.analyserNode);
+		this.masterGainNode.connect(this.bypassGainNode);
+		this.bypassGainNode.connect(this.analyserNode);
+		this.analyserNode.connect(this.audioContext.destination);
 	}
 
 	/**
-	 * Decode preloaded sample data into AudioBuffers
-	 * @param {Map<string, ArrayBuffer>} preloadedData
+	 * Create the shared delay and reverb buses that channel strips send to
 	 */
-	async decodePreloadedSamples(preloadedData) {
+	setupEffects() {
+		if (this.delayNode) return;
+		this.delayNode = this.audioContext.createDelay(MAX_DELAY_SECONDS);
+		this.delayFeedbackNode = this.audioContext.createGain();
+		this.delayFeedbackNode.gain.value = 0;
+		this.delayNode.connect(this.delayFeedbackNode);
+		this.delayFeedbackNode.connect(this.delayNode);
+		this.delayNode.connect(this.masterGainNode);
+
+		this.reverbNode = this.audioContext.createConvolver();
+		this.reverbNode.connect(this.masterGainNode);
+	}
+
+	/**
+	 * Generate a decaying noise impulse response for the reverb bus
+	 * The noise is seeded so live playback and offline renders sound the same.
+	 * @param {number} seconds - Length of the reverb tail
+	 * @returns {AudioBuffer}
+	 */
+	createReverbImpulse(seconds) {
+		const { sampleRate } = this.audioContext;
+		const length = Math.max(1, Math.floor(seconds * sampleRate));
+		const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+		for (let channel = 0; channel < 2; ++channel) {
+			const data = impulse.getChannelData(channel);
+			for (let i = 0; i < length; ++i) {
+				data[i] = (seededRandom(channel, i) * 2 - 1) * Math.pow(1 - i / length, 3);
+			}
+		}
+		return impulse;
+	}
+
+	/**
+	 * Apply the master bus and effect bus settings from the settings row's channel page
+	 * - Master (byte 0): bit 7 limiter bypass, so the limiter is on by default
+	 * - Delay (byte 1): bits 7-5 delay time in steps (1-8), bits 4-0 feedback
+	 * - Reverb (byte 2): bits 7-5 size (0.5-4 seconds)
+	 * @param {number[]} bytes - Channel page bytes for the settings row
+	 * @param {number} tickInterval - Length of a step in seconds
+	 * @param {number} time - Audio context time to apply the change at
+	 */
+	updateEffects(bytes = [], tickInterval, time) {
+		const masterByte = bytes[0] || 0;
+		const delayByte = bytes[1] || 0;
+		const reverbByte = bytes[2] || 0;
+		const effectsKey = `${masterByte},${delayByte},${reverbByte},${tickInterval}`;
+		if (effectsKey === this.lastEffectsKey) return;
+		this.lastEffectsKey = effectsKey;
+
+		const isLimiterOn = 1 - ((masterByte >> 7) & 0b1);
+		this.limiterGainNode.gain.setValueAtTime(isLimiterOn, time);
+		this.bypassGainNode.gain.setValueAtTime(1 - isLimiterOn, time);
+
+		const delaySteps = ((delayByte >> 5) & 0b111) + 1;
+		if (tickInterval > 0) {
+			const delayTime = Math.min(MAX_DELAY_SECONDS, delaySteps * tickInterval);
+			this.delayNode.delayTime.setValueAtTime(delayTime, time);
+		}
+		this.delayFeedbackNode.gain.setValueAtTime((delayByte & 0b11111) / 32, time);
+
+		const reverbSeconds = (((reverbByte >> 5) & 0b111) + 1) / 2;
+		if (reverbSeconds !== this.reverbSeconds) {
+			this.reverbSeconds = reverbSeconds;
+			this.reverbNode.buffer = this.createReverbImpulse(reverbSeconds);
+		}
+	}
+
+	/**
+	 * Get the channel strip for a row, creating it on first use
+	 * @param {number} index - Row index
+	 * @returns {ChannelStrip}
+	 */
+	getChannelStrip(index) {
+		let channelStrip = this.channelStrips.get(index);
+		if (!channelStrip) {
+			channelStrip = new ChannelStrip(this.audioContext, this.masterGainNode, {
+				delay: this.delayNode,
+				reverb: this.reverbNode,
+			});
+			this.channelStrips.set(index, channelStrip);
+		}
+		return channelStrip;
+	}
+
+	/**
+	 * Decode preloaded sample data into AudioBuffers, without playing them yet (see setBank)
+	 * Samples without data (e.g. their fetch failed) or that fail to decode are
+	 * reported as failed, so they play the synthesized fallback voice.
+	 * @param {Map<string, ArrayBuffer|null>} preloadedData
+	 * @returns {Promise<{buffers: Map<string, AudioBuffer>, failedSamples: Set<string>}>}
+	 */
+	async decodeSamples(preloadedData) {
+		const buffers = new Map();
+		const failedSamples = new Set();
 		const decodePromises = [];
 
 		for (const [key, arrayBuffer] of preloadedData.entries()) {
+			if (!arrayBuffer) {
+				failedSamples.add(key);
+				continue;
+			}
 			decodePromises.push(
 				this.audioContext
 					.decodeAudioData(arrayBuffer.slice(0))
 					.then(audioBuffer => {
-						this.buffers.set(key, audioBuffer);
+						buffers.set(key, audioBuffer);
 					})
 					.catch(error => {
 						console.error(`Failed to decode preloaded sample ${key}:`, error);
-					})
+						failedSamples.add(key);
+					}),
 			);
 		}
 
 		await Promise.all(decodePromises);
+		return { buffers, failedSamples };
+	}
+
+	/**
+	 * Replace a bank's samples with decoded ones
+	 * @param {number} soundBank - Sound bank index (0-7)
+	 * @param {number|null} rootNote - MIDI note to repitch the first sample from, or null to play each note's own file
+	 * @param {{buffers: Map<string, AudioBuffer>, failedSamples: Set<string>}} decoded - Result of decodeSamples
+	 */
+	setBank(soundBank, rootNote, { buffers, failedSamples }) {
+		this.clearBank(soundBank);
+		this.setRepitchRoot(soundBank, rootNote);
+		for (const [key, audioBuffer] of buffers) {
+			this.buffers.set(key, audioBuffer);
+		}
+		for (const key of failedSamples) {
+			this.failedSamples.add(key);
+		}
+	}
+
+	/**
+	 * Remove a bank's decoded samples and repitch setting before loading new ones
+	 * @param {number} soundBank - Sound bank index (0-7)
+	 */
+	clearBank(soundBank) {
+		for (const key of this.buffers.keys()) {
+			if (key.startsWith(`${soundBank}-`)) this.buffers.delete(key);
+		}
+		for (const key of this.failedSamples) {
+			if (key.startsWith(`${soundBank}-`)) this.failedSamples.delete(key);
+		}
+		this.repitchRoots.delete(soundBank);
+	}
+
+	/**
+	 * Get the synthesized fallback voice for a note, rendering the voices on first use
+	 * @param {number} note - Note number (0-7)
+	 * @returns {AudioBuffer}
+	 */
+	getSynthBuffer(note) {
+		if (!this.synthBuffers) this.synthBuffers = createSynthBuffers(this.audioContext);
+		return this.synthBuffers[note];
+	}
+
+	/**
+	 * Repitch a bank's first sample instead of playing one file per note
+	 * @param {number} soundBank - Sound bank index (0-7)
+	 * @param {number|null} rootNote - MIDI note the sample was recorded at, or null to play each note's own file
+	 */
+	setRepitchRoot(soundBank, rootNote) {
+		if (rootNote === null) {
+			this.repitchRoots.delete(soundBank);
+		} else {
+			this.repitchRoots.set(soundBank, rootNote);
+		}
+	}
+
+	/**
+	 * Resume a suspended live context before scheduling on it
+	 * Offline contexts stay suspended until they start rendering, so they are left alone.
+	 * @returns {Promise<boolean>} False if the context couldn't be resumed
+	 */
+	async resumeContext() {
+		if (this.audioContext.state !== 'suspended') return true;
+		if (typeof OfflineAudioContext !== 'undefined' && this.audioContext instanceof OfflineAudioContext) return true;
+		try {
+			await this.audioContext.resume();
+			return true;
+		} catch (err) {
+			console.error('Error resuming AudioContext:', err);
+			return false;
+		}
+	}
+
+	/**
+	 * Calculate the playback rate that repitches a sample to a MIDI note
+	 * The MIDI Scale byte starts at A0, far below most samples, so the note is
+	 * moved up by whole octaves until the default offset lands within an octave
+	 * below the root. The bank stays in the MIDI output's key, and note 0 at the
+	 * default settings plays close to the recorded pitch.
+	 * @param {number} midiNote - MIDI note to play
+	 * @param {number} rootNote - MIDI note the sample was recorded at
+	 * @returns {number} Playback rate
+	 */
+	calculateRepitchRate(midiNote, rootNote) {
+		const octaveShift = 12 * Math.floor((rootNote - BASE_MIDI_NOTE) / 12);
+		return Math.pow(2, (midiNote + octaveShift - rootNote) / 12);
 	}
 
 	/**
@@ -54,36 +330,157 @@ export class SamplePlayer {
 	 * @param {number} note - Note number (0-7)
 	 * @param {number} time - Audio context time to play at (optional)
 	 * @param {number} volume - Volume level (0-1, optional)
+	 * @param {number} midiNote - Pitch to play at if the bank is repitched (optional)
+	 * @param {AudioNode} destination - Node to connect to, e.g. a channel strip input (optional)
+	 * @param {Object} voice - Per-voice options (optional)
+	 * @param {{attack: number, gate: number, decay: number}} voice.envelope - Times in seconds, gate 0 = whole sample
+	 * @param {number} voice.chokeGroup - Voices in the same group cut each other off, e.g. a row index
+	 * @param {boolean} voice.reverse - Play the sample backwards
+	 * @param {boolean} voice.slice - Play the note's slice of the bank's first sample instead of the note's own file
+	 * @param {number} voice.pan - Stereo position for this voice only (-1 to 1), on top of the channel strip's pan
 	 */
-	async playSample(soundBank, note, time = null, volume = 1) {
-		const key = `${soundBank}-${note}`;
-		const buffer = this.buffers.get(key);
+	async playSample(soundBank, note, time = null, volume = 1, midiNote = null, destination = null, voice = {}) {
+		const { envelope = null, chokeGroup = null, reverse = false, slice = false, pan = null } = voice;
+		const rootNote = this.repitchRoots.get(soundBank);
+		// The note picks the slice, so sliced banks aren't repitched.
+		let isRepitched = !slice && rootNote !== undefined && midiNote !== null;
+		let isSliced = slice;
+		const key = `${soundBank}-${isRepitched || isSliced ? 0 : note}`;
+		let buffer = this.buffers.get(key);
 		if (!buffer) {
-			return;
-		}
-		if (this.audioContext.state === 'suspended') {
-			try {
-				await this.audioContext.resume();
-			} catch (err) {
-				console.error('Error resuming AudioContext:', err);
-				return;
-			}
+			// Samples that are still loading stay silent; ones that failed to
+			// load or decode fall back to the note's synthesized voice.
+			if (!this.failedSamples.has(key)) return;
+			buffer = this.getSynthBuffer(note);
+			isRepitched = false;
+			isSliced = false;
 		}
+		if (!(await this.resumeContext())) return;
 
 		const source = this.audioContext.createBufferSource();
-		source.buffer = buffer;
+		source.buffer = reverse ? this.getReversedBuffer(buffer) : buffer;
+		if (isRepitched) {
+			source.playbackRate.value = this.calculateRepitchRate(midiNote, rootNote);
+		}
 
 		const gainNode = this.audioContext.createGain();
 		gainNode.gain.value = volume;
 
 		source.connect(gainNode);
-		gainNode.connect(this.masterGainNode || this.audioContext.destination);
+		const output = destination || this.masterGainNode || this.audioContext.destination;
+		if (pan !== null) {
+			const pannerNode = this.audioContext.createStereoPanner();
+			pannerNode.pan.value = pan;
+			gainNode.connect(pannerNode);
+			pannerNode.connect(output);
+		} else {
+			gainNode.connect(output);
+		}
 
 		const playTime = time !== null ? time : this.audioContext.currentTime;
+		const stopTime = envelope ? this.applyEnvelope(gainNode.gain, volume, playTime, envelope) : null;
+		if (chokeGroup !== null) this.chokeVoices(chokeGroup, playTime);
+
 		source.scheduledStartTime = playTime;
+		source.gainNode = gainNode;
+		source.chokeGroup = chokeGroup;
 		this.pendingSources.add(source);
 		source.onended = () => this.pendingSources.delete(source);
-		source.start(playTime);
+		if (isSliced) {
+			// Slices are read from the end of a reversed buffer.
+			const sliceDuration = buffer.duration / SLICE_COUNT;
+			const sliceIndex = reverse ? SLICE_COUNT - 1 - note : note;
+			source.start(playTime, sliceIndex * sliceDuration, sliceDuration);
+		} else {
+			source.start(playTime);
+		}
+		if (stopTime !== null) source.stop(stopTime);
+	}
+
+	/**
+	 * Get a hit's auto-pan position
+	 * Positions derive from the tick count, so they repeat exactly with the pattern.
+	 * @param {string} mode - 'off', 'alternate' (left/right on alternate steps), 'random' or 'sweep'
+	 * @param {number} width - How far from the row's pan position to move (0-1)
+	 * @param {number} index - Row index, to give each row its own random positions
+	 * @param {number} tickCount - Current tick count
+	 * @param {number} hitPosition - Position of the hit within the tick (0 to <1, for ratchets)
+	 * @returns {number|null} Pan offset (-1 to 1), or null when auto-pan is off
+	 */
+	getAutoPan(mode, width, index, tickCount, hitPosition) {
+		switch (mode) {
+			case 'alternate':
+				return tickCount % 2 ? width : -width;
+			case 'random':
+				return (seededRandom(index, tickCount, Math.round(hitPosition * 256)) * 2 - 1) * width;
+			case 'sweep':
+				return Math.sin((2 * Math.PI * (tickCount + hitPosition)) / AUTO_PAN_SWEEP_STEPS) * width;
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * Get a reversed copy of a buffer, cached per buffer
+	 * @param {AudioBuffer} buffer
+	 * @returns {AudioBuffer}
+	 */
+	getReversedBuffer(buffer) {
+		let reversed = this.reversedBuffers.get(buffer);
+		if (!reversed) {
+			reversed = this.audioContext.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+			for (let channel = 0; channel < buffer.numberOfChannels; ++channel) {
+				reversed.copyToChannel(buffer.getChannelData(channel).slice().reverse(), channel);
+			}
+			this.reversedBuffers.set(buffer, reversed);
+		}
+		return reversed;
+	}
+
+	/**
+	 * Schedule a voice's attack, and its decay once the gate closes
+	 * @param {AudioParam} gain - The voice's gain
+	 * @param {number} volume - Level to hold while the gate is open
+	 * @param {number} time - Audio context time the voice starts at
+	 * @param {{attack: number, gate: number, decay: number}} envelope - Attack, gate and decay in seconds
+	 * @returns {number|null} Time the voice falls silent, or null if it plays to the end of the sample
+	 */
+	applyEnvelope(gain, volume, time, { attack, gate, decay }) {
+		if (attack > 0) {
+			gain.setValueAtTime(0, time);
+			gain.linearRampToValueAtTime(volume, time + attack);
+		}
+		if (gate <= 0) return null;
+
+		const releaseTime = time + Math.max(attack, gate);
+		gain.setValueAtTime(volume, releaseTime);
+		gain.linearRampToValueAtTime(0, releaseTime + decay);
+		return releaseTime + decay;
+	}
+
+	/**
+	 * Fade out voices in a choke group that started before the given time
+	 * @param {number} chokeGroup - Choke group to silence
+	 * @param {number} time - Audio context time the new voice starts at
+	 */
+	chokeVoices(chokeGroup, time) {
+		for (const source of this.pendingSources) {
+			if (source.chokeGroup !== chokeGroup || source.scheduledStartTime >= time) continue;
+
+			const { gain } = source.gainNode;
+			// Hold the current envelope value instead of jumping, where supported.
+			if (gain.cancelAndHoldAtTime) {
+				gain.cancelAndHoldAtTime(time);
+			} else {
+				gain.cancelScheduledValues(time);
+			}
+			gain.setTargetAtTime(0, time, CHOKE_TIME_CONSTANT);
+			try {
+				source.stop(time + CHOKE_TIME_CONSTANT * 10);
+			} catch {
+				// Source may already be stopped.
+			}
+		}
 	}
 
 	/**
@@ -120,6 +517,27 @@ export class SamplePlayer {
 		return !!(notes & bitMask);
 	}
 
+	/**
+	 * Check if a step is active in probability mode
+	 * Each step gets a chance of 0, 1/3, 2/3 or 1. Rolls are seeded from the row
+	 * index and tick count so every tab and the MIDI output agree on the result.
+	 * @param {number} index - Row index
+	 * @param {number} notes - Row value (16 steps × 2 bits, first step in bits 31-30)
+	 * @param {number} tickCount - Current tick count
+	 * @param {number} modeSettings - Mode settings (bit 4: repeat the same rolls every cycle, bits 3-0: sequence length)
+	 * @returns {boolean}
+	 */
+	isStepActiveProbability(index, notes, tickCount, modeSettings) {
+		const sequenceLength = modeSettings & 0b1111 || 16;
+		const step = tickCount % sequenceLength;
+		const chance = (notes >> (30 - step * 2)) & 0b11;
+		if (chance === 0) return false;
+		if (chance === 3) return true;
+
+		const isLocked = (modeSettings >> 4) & 0b1;
+		return seededRandom(index, isLocked ? step : tickCount) < chance / 3;
+	}
+
 	/**
 	 * Extract per-row settings from settings bytes
 	 * @param {number} settings - Settings value (16 bits)
@@ -135,7 +553,7 @@ export class SamplePlayer {
 
 		const secondByte = settings & 0xff;
 
-		const mode = (secondByte >> 0) & 0b1; // TODO: Once more modes are added, & 0b111 instead.
+		const mode = (secondByte >> 0) & 0b111;
 		const modeSettings = (secondByte >> 3) & 0b11111;
 
 		return {
@@ -207,8 +625,8 @@ export class SamplePlayer {
 	 * @param {number} index - Row index
 	 * @param {number} notes - Notes value (bits 31-24: steps, 23-16: pulses, 15-8: initial rotation, 7-0: rotation increment)
 	 * @param {number} tickCount - Current tick count
-	 * @param {number} modeSettings - Mode settings (bit 4: enable, bit 3: skip/play, bits 2-0: nth note)
-	 * @returns {boolean}
+	 * @param {number} modeSettings - Mode settings (bit 4: enable skip, bit 3: skip/play or accent when skip is off, bits 2-0: nth note)
+	 * @returns {boolean|{velocity: number}}
 	 */
 	isStepActiveEuclidean(index, notes, tickCount, modeSettings) {
 		const cacheEntry = this.getEuclideanPattern(index, notes);
@@ -223,7 +641,8 @@ export class SamplePlayer {
 		const isActive = pattern[stepIdx];
 
 		const isSkipEnabled = (modeSettings >> 4) & 0b1;
-		if (!(isSkipEnabled && isActive)) return isActive;
+		const isAccentEnabled = !isSkipEnabled && (modeSettings >> 3) & 0b1;
+		if (!((isSkipEnabled || isAccentEnabled) && isActive)) return isActive;
 
 		const isSkipMode = !!((modeSettings >> 3) & 0b1);
 		const nthNote = (modeSettings & 0b111) + 1;
@@ -236,27 +655,216 @@ export class SamplePlayer {
 			const rotatedIdx = (i + stepsPerCycle - rotation) % stepsPerCycle;
 			if (pattern[rotatedIdx]) ++noteIdx;
 		}
+
+		// Accents land on the first of every n pulses, so nth = 1 accents all of them.
+		if (isAccentEnabled) {
+			return { velocity: (noteIdx - 1) % nthNote === 0 ? 1 : UNACCENTED_VELOCITY };
+		}
+
 		const isNthStep = noteIdx % nthNote === 0;
 		return isSkipMode === isNthStep;
 	}
 
 	/**
-	 * Process a tick - check all rows and play samples for active steps
+	 * Advance a linear-feedback shift register by one step
+	 * @param {number} state - Current 32-bit register state
+	 * @param {number} taps - Feedback tap mask
+	 * @returns {number} Next register state
+	 */
+	shiftLfsr(state, taps) {
+		let feedback = state & taps;
+		feedback ^= feedback >>> 16;
+		feedback ^= feedback >>> 8;
+		feedback ^= feedback >>> 4;
+		feedback ^= feedback >>> 2;
+		feedback ^= feedback >>> 1;
+		return ((state << 1) | (feedback & 1)) >>> 0;
+	}
+
+	/**
+	 * Get the cached LFSR state for a row after a given number of shifts
+	 * Ticks usually move forward one at a time, so the register is advanced from
+	 * the last cached step. It's only rebuilt from the seed when the seed or taps
+	 * change or the tick count jumps backwards (e.g. a follower re-syncing).
+	 * @param {number} index - Row index
+	 * @param {number} seed - Initial register state
+	 * @param {number} taps - Feedback tap mask
+	 * @param {number} tickCount - Number of shifts
+	 * @returns {number} Register state
+	 */
+	getLfsrState(index, seed, taps, tickCount) {
+		let cached = this.lfsrCache.get(index);
+		if (!cached || cached.seed !== seed || cached.taps !== taps || cached.step > tickCount) {
+			cached = { seed, taps, step: 0, state: seed };
+			this.lfsrCache.set(index, cached);
+		}
+
+		let state = cached.state;
+		for (let step = cached.step; step < tickCount; ++step) {
+			state = this.shiftLfsr(state, taps);
+		}
+		cached.step = tickCount;
+		cached.state = state;
+
+		return state;
+	}
+
+	/**
+	 * Check if a step is active using a linear-feedback shift register
+	 * The row's note bits seed the register, and step N is active when the output
+	 * bit is set after N shifts. A seed of 0 never produces a hit.
+	 * @param {number} index - Row index
+	 * @param {number} notes - Initial register state (32 bits)
 	 * @param {number} tickCount - Current tick count
-	 * @param {Map<number, {settings: number, notes: number}>} rowValues - Map of row indices to values
-	 * @param {number} masterVolume - Master volume (0-1, default 1)
-	 * @param {number} time - Audio context time to schedule playback at (optional)
+	 * @param {number} modeSettings - Mode settings (bits 4-2: tap mask, bits 1-0: output bit)
+	 * @returns {boolean}
 	 */
-	async processTick(tickCount, rowValues, masterVolume = 1, time = null) {
-		if (this.audioContext.state === 'suspended') {
-			try {
-				await this.audioContext.resume();
-			} catch (err) {
-				console.error('Error resuming AudioContext:', err);
-				return;
-			}
+	isStepActiveLfsr(index, notes, tickCount, modeSettings) {
+		const taps = LFSR_TAP_MASKS[(modeSettings >> 2) & 0b111];
+		const outputBit = LFSR_OUTPUT_BITS[modeSettings & 0b11];
+		const state = this.getLfsrState(index, notes >>> 0, taps, tickCount);
+		return !!((state >>> outputBit) & 0b1);
+	}
+
+	/**
+	 * Advance an elementary cellular automaton by one generation
+	 * The 32 cells wrap around, and cell 0 is the most significant bit.
+	 * @param {number} cells - Current generation (32 bits)
+	 * @param {number} rule - Wolfram rule number (0-255)
+	 * @returns {number} Next generation
+	 */
+	advanceAutomaton(cells, rule) {
+		const left = (cells >>> 1) | (cells << 31);
+		const right = (cells << 1) | (cells >>> 31);
+		let next = 0;
+		for (let bit = 0; bit < 32; ++bit) {
+			const neighborhood = (((left >>> bit) & 1) << 2) | (((cells >>> bit) & 1) << 1) | ((right >>> bit) & 1);
+			next |= ((rule >> neighborhood) & 1) << bit;
+		}
+		return next >>> 0;
+	}
+
+	/**
+	 * Get the cached cellular automaton generation for a row
+	 * Generations are advanced from the last cached one, and only rebuilt from
+	 * the seed when the seed or rule change or the tick count jumps backwards.
+	 * @param {number} index - Row index
+	 * @param {number} seed - Initial generation
+	 * @param {number} rule - Wolfram rule number (0-255)
+	 * @param {number} generation - Generation to return
+	 * @returns {number} Cells of the requested generation
+	 */
+	getAutomatonGeneration(index, seed, rule, generation) {
+		let cached = this.automatonCache.get(index);
+		if (!cached || cached.seed !== seed || cached.rule !== rule || cached.generation > generation) {
+			cached = { seed, rule, generation: 0, cells: seed };
+			this.automatonCache.set(index, cached);
+		}
+
+		let cells = cached.cells;
+		for (let i = cached.generation; i < generation; ++i) {
+			cells = this.advanceAutomaton(cells, rule);
+		}
+		cached.generation = generation;
+		cached.cells = cells;
+
+		return cells;
+	}
+
+	/**
+	 * Check if a step is active using an elementary cellular automaton
+	 * The row's note bits are the first generation, and each 32-step pass
+	 * through the sequence advances the automaton by one generation.
+	 * @param {number} index - Row index
+	 * @param {number} notes - Initial generation (32 cells)
+	 * @param {number} tickCount - Current tick count
+	 * @param {number} modeSettings - Index into the curated rule table
+	 * @returns {boolean}
+	 */
+	isStepActiveAutomaton(index, notes, tickCount, modeSettings) {
+		const rule = CELLULAR_AUTOMATON_RULES[modeSettings & 0b11111];
+		const generation = Math.floor(tickCount / 32);
+		const cells = this.getAutomatonGeneration(index, notes >>> 0, rule, generation);
+		const bitPosition = 31 - (tickCount % 32);
+		return !!((cells >>> bitPosition) & 0b1);
+	}
+
+	/**
+	 * Get the number of hits for a step in ratchet mode
+	 * @param {number} _index - Row index (unused)
+	 * @param {number} notes - Row value (16 steps × 2 bits: rest, single hit, double hit, triple hit)
+	 * @param {number} tickCount - Current tick count
+	 * @param {number} modeSettings - Mode settings (bit 4: play triple hits as quadruple hits, bits 3-0: sequence length)
+	 * @returns {number} Hits to play, subdivided evenly within the step
+	 */
+	getRatchetHits(_index, notes, tickCount, modeSettings) {
+		const sequenceLength = modeSettings & 0b1111 || 16;
+		const step = tickCount % sequenceLength;
+		const hits = (notes >> (30 - step * 2)) & 0b11;
+		const isQuadruple = (modeSettings >> 4) & 0b1;
+		return hits === 3 && isQuadruple ? 4 : hits;
+	}
+
+	/**
+	 * Get the note for a step in arpeggiator mode
+	 * Each 4-bit step value holds a play flag (bit 3) and a scale degree
+	 * (bits 2-0), so a step can be silenced without losing its pitch.
+	 * @param {number} index - Row index
+	 * @param {number} notes - Row value (8 steps × 4 bits, first step in bits 31-28)
+	 * @param {number} tickCount - Current tick count
+	 * @param {number} modeSettings - Mode settings (bits 4-3: direction (forward, backward, ping-pong, random), bits 2-0: sequence length)
+	 * @returns {{note: number}|false} The step's note (0-7), or false for a rest
+	 */
+	getArpeggioStep(index, notes, tickCount, modeSettings) {
+		const sequenceLength = modeSettings & 0b111 || 8;
+		const direction = (modeSettings >> 3) & 0b11;
+
+		let step;
+		if (direction === 0) {
+			step = tickCount % sequenceLength;
+		} else if (direction === 1) {
+			step = sequenceLength - 1 - (tickCount % sequenceLength);
+		} else if (direction === 2) {
+			const period = Math.max(1, sequenceLength * 2 - 2);
+			const position = tickCount % period;
+			step = position < sequenceLength ? position : period - position;
+		} else {
+			step = Math.floor(seededRandom(index, tickCount) * sequenceLength);
 		}
 
+		const value = (notes >> (28 - step * 4)) & 0b1111;
+		if (!(value & 0b1000)) return false;
+		return { note: value & 0b111 };
+	}
+
+	/**
+	 * Check if a step is active by combining two other rows' current steps
+	 * Source rows are read before solo and mute are applied, so they can be
+	 * muted to only hear the combination.
+	 * @param {number} _index - Row index (unused)
+	 * @param {number} notes - Row value (bits 26-24: source row A, bits 18-16: source row B, bits 10-8: operator)
+	 * @param {number} _tickCount - Current tick count (unused)
+	 * @param {number} _modeSettings - Mode settings (unused)
+	 * @param {Function} isRowActive - Returns whether a row index is active this tick
+	 * @returns {boolean}
+	 */
+	isStepActiveLogic(_index, notes, _tickCount, _modeSettings, isRowActive) {
+		const sourceA = ((notes >> 24) & 0b111) + 1;
+		const sourceB = ((notes >> 16) & 0b111) + 1;
+		const operator = LOGIC_OPERATORS[(notes >> 8) & 0b111];
+		return operator(isRowActive(sourceA), isRowActive(sourceB));
+	}
+
+	/**
+	 * Evaluate every instrument row for a tick, applying solo and mute
+	 * Rows are resolved on demand, so logic rows evaluate their sources first.
+	 * A row that depends on itself, directly or through other rows, reads as
+	 * inactive while it is being resolved.
+	 * @param {number} tickCount - Current tick count
+	 * @param {Map<number, {settings: number, notes: number}>} rowValues - Map of row indices to values
+	 * @returns {{index: number, settings: Object, hits: number, note: number, velocity: number}[]} Rows that should sound this tick
+	 */
+	evaluateRows(tickCount, rowValues) {
 		const instrumentRows = Array.from(rowValues.entries()).slice(1);
 		let hasAnySolo = false;
 		const rowSettings = new Map();
@@ -266,15 +874,89 @@ export class SamplePlayer {
 			if (settings.solo) hasAnySolo = true;
 		}
 
-		for (const [index, value] of instrumentRows) {
+		const steps = new Map();
+		const resolveRow = index => {
+			if (steps.has(index)) return steps.get(index);
+			// Mark the row as inactive while resolving to break dependency cycles.
+			steps.set(index, null);
+
+			const settings = rowSettings.get(index);
+			const stepChecker = settings && this.stepCheckers[settings.mode];
+			let step = null;
+			if (stepChecker) {
+				const notes = rowValues.get(index).notes || 0;
+				const result = stepChecker(index, notes, tickCount, settings.modeSettings, isRowActive);
+				if (result) {
+					const {
+						hits = 1,
+						note = settings.note,
+						velocity = 1,
+					} = typeof result === 'object' ? result : { hits: Number(result) };
+					if (hits > 0) step = { hits, note, velocity };
+				}
+			}
+
+			steps.set(index, step);
+			return step;
+		};
+		const isRowActive = index => resolveRow(index) !== null;
+
+		const activeRows = [];
+		for (const [index] of instrumentRows) {
 			const settings = rowSettings.get(index);
 			if (!settings || settings.mute || (hasAnySolo && !settings.solo)) continue;
 
-			const stepChecker = this.stepCheckers[settings.mode];
-			if (!stepChecker) continue;
-			if (stepChecker(index, value.notes || 0, tickCount, settings.modeSettings)) {
-				const playTime = time !== null ? time : this.audioContext.currentTime;
-				await this.playSample(settings.midiChannel, settings.note, playTime, masterVolume);
+			const step = resolveRow(index);
+			if (step) activeRows.push({ index, settings, ...step });
+		}
+
+		return activeRows;
+	}
+
+	/**
+	 * Process a tick - check all rows and play samples for active steps
+	 * @param {number} tickCount - Current tick count
+	 * @param {Map<number, {settings: number, notes: number, channel: number[]}>} rowValues - Map of row indices to values
+	 * @param {number} masterVolume - Master volume (0-1, default 1)
+	 * @param {number} time - Audio context time to schedule playback at (optional)
+	 * @param {number} tickInterval - Length of this tick in seconds, used to subdivide ratchets (optional)
+	 */
+	async processTick(tickCount, rowValues, masterVolume = 1, time = null, tickInterval = 0) {
+		if (!(await this.resumeContext())) return;
+
+		const playTime = time !== null ? time : this.audioContext.currentTime;
+		this.updateEffects(rowValues.get(0)?.channel, tickInterval, playTime);
+		for (const [index, value] of rowValues) {
+			if (index > 0) this.getChannelStrip(index).update(value.channel, playTime);
+		}
+
+		// Repitched banks follow the MIDI Scale byte, like the MIDI output.
+		const { noteOffset, scaleIndex } = extractScaleSettings(rowValues.get(0)?.notes || 0);
+
+		for (const { index, settings, hits, note, velocity } of this.evaluateRows(tickCount, rowValues)) {
+			const midiNote = calculateMidiNote(note, noteOffset, scaleIndex);
+			const destination = this.getChannelStrip(index).input;
+			const channelBytes = rowValues.get(index).channel;
+			const { attack, gateSteps, decay, choke } = extractEnvelopeSettings(channelBytes);
+			const { reverse, slice, autoPan, autoPanWidth } = extractPlaybackSettings(channelBytes);
+			for (let hit = 0; hit < hits; ++hit) {
+				const hitTime = playTime + (hit * tickInterval) / hits;
+				const voice = {
+					envelope: { attack, gate: gateSteps * tickInterval, decay },
+					chokeGroup: choke ? index : null,
+					reverse,
+					slice,
+					pan: this.getAutoPan(autoPan, autoPanWidth, index, tickCount, hit / hits),
+				};
+				await this.playSample(
+					settings.midiChannel,
+					note,
+					hitTime,
+					masterVolume * velocity,
+					midiNote,
+					destination,
+					voice,
+				);
 			}
 		}
 	}
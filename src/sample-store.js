@@ -0,0 +1,79 @@
+/**
+ * Imported sample bank storage
+ * Keeps user samples in IndexedDB (they're too big for localStorage) so
+ * imported banks survive a reload. Each record replaces one sound bank:
+ * {soundBank, rootNote, files: [{name, data: ArrayBuffer}]}
+ */
+
+const DB_NAME = 'big-dipper-samples';
+const DB_VERSION = 1;
+const STORE_NAME = 'banks';
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request's result
+ */
+function promisifyRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Open the samples database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+	if (!databasePromise) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			request.result.createObjectStore(STORE_NAME, { keyPath: 'soundBank' });
+		};
+		databasePromise = promisifyRequest(request).catch(error => {
+			databasePromise = null;
+			throw error;
+		});
+	}
+	return databasePromise;
+}
+
+/**
+ * Run a single request against the banks store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the object store and returns a request
+ * @returns {Promise<any>} The request's result
+ */
+async function withStore(mode, makeRequest) {
+	const database = await openDatabase();
+	const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+	return promisifyRequest(makeRequest(store));
+}
+
+/**
+ * Load every imported bank
+ * @returns {Promise<Map<number, {soundBank: number, rootNote: number|null, files: {name: string, data: ArrayBuffer}[]}>>}
+ */
+export async function loadImportedBanks() {
+	const records = await withStore('readonly', store => store.getAll());
+	return new Map(records.map(record => [record.soundBank, record]));
+}
+
+/**
+ * Save an imported bank, replacing any earlier import into the same bank
+ * @param {{soundBank: number, rootNote: number|null, files: {name: string, data: ArrayBuffer}[]}} record
+ */
+export async function saveImportedBank(record) {
+	await withStore('readwrite', store => store.put(record));
+}
+
+/**
+ * Delete an imported bank so the factory samples are used again
+ * @param {number} soundBank - Sound bank index (0-7)
+ */
+export async function deleteImportedBank(soundBank) {
+	await withStore('readwrite', store => store.delete(soundBank));
+}
@@ -0,0 +1,48 @@
+/**
+ * Scale math shared by the MIDI output and repitched sample playback
+ * Keeps the internal audio and external synths in the same key.
+ */
+
+// Note 0 with a MIDI Scale offset of 0 is A0.
+export const BASE_MIDI_NOTE = 21;
+
+const SCALE_OFFSETS = [
+	[0, 1, 2, 3, 4, 5, 6, 7], // Chromatic
+	[0, 2, 4, 5, 7, 9, 11, 12], // Major
+	[0, 2, 3, 5, 7, 8, 10, 12], // Minor
+	[0, 2, 4, 7, 9, 12, 14, 16], // Pentatonic
+];
+
+/**
+ * Extract scale settings from the 3rd settings row byte (byte index 2)
+ * @param {number} settingsRowNotes - The notes value from the settings row
+ * @returns {{noteOffset: number, scaleIndex: number}}
+ */
+export function extractScaleSettings(settingsRowNotes) {
+	const scaleByte = (settingsRowNotes >> 16) & 0xff;
+
+	const noteOffset = (scaleByte >> 2) & 0b111111;
+	const scaleIndex = (scaleByte >> 0) & 0b11; // 0-3
+
+	return { noteOffset, scaleIndex };
+}
+
+/**
+ * Calculate MIDI note number
+ * @param {number} noteSelect - The note select value from the row (0-7)
+ * @param {number} noteOffset - The note offset from scale settings
+ * @param {number} scaleIndex - The scale index (0=chromatic, 1=major, 2=minor, 3=pentatonic)
+ * @returns {number} MIDI note number (0-127)
+ */
+export function calculateMidiNote(noteSelect, noteOffset, scaleIndex) {
+	if (scaleIndex < 0 || scaleIndex >= SCALE_OFFSETS.length) {
+		scaleIndex = 0; // Default to chromatic
+	}
+
+	const scale = SCALE_OFFSETS[scaleIndex];
+	const noteIndex = Math.max(0, Math.min(7, noteSelect));
+	const scaleOffset = scale[noteIndex] || 0;
+
+	const midiNote = BASE_MIDI_NOTE + noteOffset + scaleOffset;
+	return Math.max(0, Math.min(127, midiNote));
+}
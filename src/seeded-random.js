@@ -0,0 +1,23 @@
+/**
+ * Deterministic pseudo-random numbers for generative modes
+ * Values are derived purely from their inputs (row index, tick count, etc.),
+ * so leader tabs, follower tabs and the MIDI output all make the same random
+ * decisions without having to share any state.
+ */
+
+/**
+ * Hash a list of integers into a pseudo-random float
+ * @param {...number} values - Integers to seed from (e.g. row index, tick count)
+ * @returns {number} A value in [0, 1)
+ */
+export function seededRandom(...values) {
+	let hash = 0x9e3779b9;
+	for (const value of values) {
+		// MurmurHash3 finalizer, applied once per input value.
+		hash = Math.imul(hash ^ (value | 0), 0x85ebca6b);
+		hash ^= hash >>> 13;
+		hash = Math.imul(hash, 0xc2b2ae35);
+		hash ^= hash >>> 16;
+	}
+	return (hash >>> 0) / 0x100000000;
+}
@@ -18,7 +18,7 @@
  * - Second byte (bits 7-0):
  *   - Bit 7 (MSB): Multiply/divide flag (0 = divide, 1 = multiply, defaults to divide when down)
  *   - Bits 6-5: Tempo factor exponent (2 bits, 0-3, factor = 2^n)
- *   - Bits 4-0: Unused
+ *   - Bits 4-0: Swing (0 = straight, 31 delays every other tick by almost half a tick)
  * BPM = (base tempo) times/divided by (2^n) / 4
  */
 
@@ -55,7 +55,7 @@ export class SequencerClock {
 	/**
 	 * Extract tempo settings from the settings value
 	 * @param {number} settings - The settings value from the SET row (16 bits: first 2 switches × 8 bits)
-	 * @returns {{baseTempo: number, isMultiply: boolean, tempoFactorExponent: number}}
+	 * @returns {{baseTempo: number, isMultiply: boolean, tempoFactorExponent: number, swing: number}}
 	 */
 	extractTempoSettings(settings) {
 		const baseTempo = (settings >> 8) & 0xff;
@@ -66,7 +66,9 @@ export class SequencerClock {
 
 		const tempoFactorExponent = (secondByte >> 5) & 0b11;
 
-		return { baseTempo, isMultiply, tempoFactorExponent };
+		const swing = secondByte & 0b11111;
+
+		return { baseTempo, isMultiply, tempoFactorExponent, swing };
 	}
 
 	/**
@@ -86,6 +88,40 @@ export class SequencerClock {
 		}
 	}
 
+	/**
+	 * Find the tempo settings whose BPM is nearest to a target BPM
+	 * The inverse of calculateBPM. When several settings are equally close, the
+	 * base tempo × 4 ÷ 4 form is preferred so the BPM byte reads as the tempo.
+	 * @param {number} bpm - Target BPM
+	 * @returns {{baseTempo: number, isMultiply: boolean, tempoFactorExponent: number}}
+	 */
+	solveTempoSettings(bpm) {
+		// Divide by 2^0 is the same as multiply by 2^0, so it isn't listed.
+		const candidates = [
+			[true, 2],
+			[true, 3],
+			[true, 1],
+			[true, 0],
+			[false, 1],
+			[false, 2],
+			[false, 3],
+		];
+
+		let best = null;
+		let bestError = Infinity;
+		for (const [isMultiply, tempoFactorExponent] of candidates) {
+			const factor = Math.pow(2, tempoFactorExponent);
+			const scale = isMultiply ? factor / 4 : 1 / (factor * 4);
+			const baseTempo = Math.min(255, Math.max(1, Math.round(bpm / scale)));
+			const error = Math.abs(baseTempo * scale - bpm);
+			if (error < bestError) {
+				best = { baseTempo, isMultiply, tempoFactorExponent };
+				bestError = error;
+			}
+		}
+		return best;
+	}
+
 	/**
 	 * Calculate the maximum possible BPM for a given base tempo
 	 * This is used for broadcasting ticks at the maximum rate
@@ -247,4 +283,21 @@ export class SequencerClock {
 			return Math.floor(tickCount / (maxFactor * factor));
 		}
 	}
+
+	/**
+	 * Calculate how late a tick should sound to apply swing
+	 * Swing delays every other effective tick, so it stays on the off-beat
+	 * sixteenths whatever the tempo factor. Ticks are scheduled (and broadcast
+	 * to followers) straight; each tab applies its own swing when it plays them.
+	 * @param {number} effectiveTickCount - The effective tick count for this tempo factor
+	 * @param {number} settings - The settings value to extract tempo settings from
+	 * @returns {number} Delay in seconds
+	 */
+	calculateSwingOffset(effectiveTickCount, settings) {
+		if (effectiveTickCount % 2 === 0) return 0;
+
+		const { swing } = this.extractTempoSettings(settings);
+		const tickInterval = this.calculateTickInterval(this.calculateBPM(settings));
+		return (swing / 32) * (tickInterval / 2);
+	}
 }
@@ -0,0 +1,128 @@
+// Redraw at most this often; the scope doesn't need the display's full frame rate.
+const FRAME_INTERVAL_MS = 1000 / 30;
+// Spectrum range, drawn on a log scale.
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+const SPECTRUM_BARS = 64;
+
+/**
+ * Oscilloscope and spectrum view of an AnalyserNode
+ * Draws the waveform across the top half and the spectrum along the bottom.
+ * Drawing is capped at 30 frames per second and stops completely while the
+ * element is hidden or the tab is in the background, so it never competes
+ * with the sequencer's scheduler for the main thread.
+ */
+class SignalScope extends HTMLElement {
+	constructor() {
+		super();
+		this._analyser = null;
+		this._samples = null;
+		this._frequencies = null;
+		this._frame = null;
+		this._lastDrawTime = -Infinity;
+		this._handleVisibilityChange = () => {
+			if (document.hidden) {
+				this._stop();
+			} else {
+				this._start();
+			}
+		};
+	}
+
+	static observedAttributes = ['hidden'];
+
+	connectedCallback() {
+		if (!this._canvas) {
+			this._canvas = document.createElement('canvas');
+			this.appendChild(this._canvas);
+		}
+		document.addEventListener('visibilitychange', this._handleVisibilityChange);
+		this._start();
+	}
+
+	disconnectedCallback() {
+		document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+		this._stop();
+	}
+
+	attributeChangedCallback() {
+		if (this.hidden) {
+			this._stop();
+		} else {
+			this._start();
+		}
+	}
+
+	get analyser() {
+		return this._analyser;
+	}
+
+	set analyser(analyser) {
+		this._analyser = analyser;
+		this._samples = analyser ? new Float32Array(analyser.fftSize) : null;
+		this._frequencies = analyser ? new Uint8Array(analyser.frequencyBinCount) : null;
+		this._start();
+	}
+
+	_start() {
+		if (this._frame !== null || !this._analyser || !this.isConnected || this.hidden || document.hidden) return;
+		this._frame = requestAnimationFrame(time => this._tick(time));
+	}
+
+	_stop() {
+		if (this._frame !== null) cancelAnimationFrame(this._frame);
+		this._frame = null;
+	}
+
+	_tick(time) {
+		this._frame = requestAnimationFrame(nextTime => this._tick(nextTime));
+		// Print-friendly mode hides the scope with CSS rather than the hidden attribute.
+		if (time - this._lastDrawTime < FRAME_INTERVAL_MS || !this._canvas.clientWidth) return;
+		this._lastDrawTime = time;
+		this._draw();
+	}
+
+	_draw() {
+		const canvas = this._canvas;
+		const width = Math.round(canvas.clientWidth * devicePixelRatio);
+		const height = Math.round(canvas.clientHeight * devicePixelRatio);
+		if (canvas.width !== width || canvas.height !== height) {
+			canvas.width = width;
+			canvas.height = height;
+		}
+
+		const context = canvas.getContext('2d');
+		context.clearRect(0, 0, width, height);
+		const halfHeight = height / 2;
+
+		// Waveform
+		this._analyser.getFloatTimeDomainData(this._samples);
+		context.strokeStyle = 'rgba(120, 220, 255, 0.9)';
+		context.lineWidth = Math.max(1, devicePixelRatio * 1.5);
+		context.beginPath();
+		for (let i = 0; i < this._samples.length; ++i) {
+			const x = (i / (this._samples.length - 1)) * width;
+			const y = halfHeight / 2 - (this._samples[i] * halfHeight) / 2;
+			if (i === 0) {
+				context.moveTo(x, y);
+			} else {
+				context.lineTo(x, y);
+			}
+		}
+		context.stroke();
+
+		// Spectrum
+		this._analyser.getByteFrequencyData(this._frequencies);
+		const binWidth = this._analyser.context.sampleRate / 2 / this._frequencies.length;
+		const barWidth = width / SPECTRUM_BARS;
+		context.fillStyle = 'rgba(255, 120, 200, 0.7)';
+		for (let bar = 0; bar < SPECTRUM_BARS; ++bar) {
+			const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, bar / SPECTRUM_BARS);
+			const bin = Math.min(this._frequencies.length - 1, Math.round(frequency / binWidth));
+			const barHeight = (this._frequencies[bin] / 255) * halfHeight;
+			context.fillRect(bar * barWidth, height - barHeight, barWidth * 0.8, barHeight);
+		}
+	}
+}
+
+customElements.define('signal-scope', SignalScope);
@@ -0,0 +1,131 @@
+/**
+ * Synthesized fallback voices
+ * Eight sounds computed straight into AudioBuffers — kick, snare, closed and
+ * open hats, clap, then bass, pluck and bell — so the sequencer makes sound
+ * even when samples fail to load. Noise is seeded, so every render matches.
+ */
+
+import { seededRandom } from './seeded-random.js';
+
+// Short fades so voices starting at full level, or cut off at the end of
+// their buffer, don't click.
+const ATTACK_SECONDS = 0.002;
+const RELEASE_SECONDS = 0.01;
+
+/**
+ * Get the frequency of a MIDI note
+ * @param {number} midiNote
+ * @returns {number} Frequency in Hz
+ */
+const midiToFrequency = midiNote => 440 * Math.pow(2, (midiNote - 69) / 12);
+
+/**
+ * Each voice returns a sample generator. Generators are called once per
+ * sample, in order, with the time in seconds and a white noise value.
+ */
+const VOICES = [
+	// Kick: sine with a fast downward pitch sweep
+	{
+		seconds: 0.5,
+		create: sampleRate => {
+			let phase = 0;
+			return t => {
+				phase += (2 * Math.PI * (50 + 100 * Math.exp(-t * 30))) / sampleRate;
+				return Math.sin(phase) * Math.exp(-t * 8);
+			};
+		},
+	},
+	// Snare: noise burst over a short body tone
+	{
+		seconds: 0.25,
+		create: () => (t, noise) =>
+			noise * Math.exp(-t * 20) * 0.6 + Math.sin(2 * Math.PI * 180 * t) * Math.exp(-t * 30) * 0.5,
+	},
+	// Closed hat: high-passed noise, very short
+	{
+		seconds: 0.08,
+		create: () => {
+			let lastNoise = 0;
+			return (t, noise) => {
+				const highPassed = noise - lastNoise;
+				lastNoise = noise;
+				return highPassed * Math.exp(-t * 60) * 0.4;
+			};
+		},
+	},
+	// Open hat: high-passed noise, longer tail
+	{
+		seconds: 0.4,
+		create: () => {
+			let lastNoise = 0;
+			return (t, noise) => {
+				const highPassed = noise - lastNoise;
+				lastNoise = noise;
+				return highPassed * Math.exp(-t * 8) * 0.3;
+			};
+		},
+	},
+	// Clap: three quick noise bursts and a short tail
+	{
+		seconds: 0.3,
+		create: () => (t, noise) => {
+			let envelope = 0;
+			for (const burst of [0, 0.01, 0.02]) {
+				if (t >= burst) envelope = Math.max(envelope, Math.exp(-(t - burst) * 150));
+			}
+			if (t >= 0.02) envelope = Math.max(envelope, 0.3 * Math.exp(-(t - 0.02) * 15));
+			return noise * envelope * 0.7;
+		},
+	},
+	// Bass: sine with its second harmonic, C2
+	{
+		seconds: 0.8,
+		create: () => {
+			const frequency = midiToFrequency(36);
+			return t =>
+				(Math.sin(2 * Math.PI * frequency * t) + 0.5 * Math.sin(4 * Math.PI * frequency * t)) *
+				Math.exp(-t * 3) *
+				0.6;
+		},
+	},
+	// Pluck: square wave with a fast decay, C4
+	{
+		seconds: 0.6,
+		create: () => {
+			const frequency = midiToFrequency(60);
+			return t => Math.sign(Math.sin(2 * Math.PI * frequency * t)) * Math.exp(-t * 6) * 0.25;
+		},
+	},
+	// Bell: sine with an inharmonic partial, C5
+	{
+		seconds: 1.2,
+		create: () => {
+			const frequency = midiToFrequency(72);
+			return t =>
+				(Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t * 3) +
+					0.3 * Math.sin(2 * Math.PI * frequency * 2.76 * t) * Math.exp(-t * 6)) *
+				0.5;
+		},
+	},
+];
+
+/**
+ * Render the synthesized voices for an audio context
+ * @param {BaseAudioContext} audioContext - Context whose sample rate the buffers use
+ * @returns {AudioBuffer[]} One mono buffer per note (0-7)
+ */
+export function createSynthBuffers(audioContext) {
+	const { sampleRate } = audioContext;
+	return VOICES.map(({ seconds, create }, note) => {
+		const length = Math.floor(seconds * sampleRate);
+		const buffer = audioContext.createBuffer(1, length, sampleRate);
+		const data = buffer.getChannelData(0);
+		const generate = create(sampleRate);
+		for (let i = 0; i < length; ++i) {
+			const t = i / sampleRate;
+			const noise = seededRandom(note, i) * 2 - 1;
+			data[i] = generate(t, noise) * Math.min(1, t / ATTACK_SECONDS, (seconds - t) / RELEASE_SECONDS);
+		}
+		return buffer;
+	});
+}
@@ -0,0 +1,88 @@
+/**
+ * Tap tempo controller
+ * Averages the intervals between taps on the TAP button (or the m key) and
+ * writes the nearest tempo into the BPM and BPM Mod bytes of the settings row,
+ * leaving the swing bits alone. The button's label shows the resulting tempo,
+ * prefixed with ≈ when the tapped tempo can't be represented exactly.
+ */
+
+// A gap longer than this starts a new series of taps.
+const TAP_TIMEOUT_MS = 2000;
+// Only the most recent intervals are averaged, so the tempo can drift.
+const MAX_INTERVALS = 8;
+// How long the tapped tempo stays on the button label.
+const LABEL_TIMEOUT_MS = 4000;
+const DEFAULT_LABEL = 'Tap';
+
+let tapTimes = [];
+let labelTimeout = null;
+let tapButtonHandler = null;
+
+/**
+ * Format a BPM for the button label
+ * @param {number} bpm - Beats per minute
+ * @returns {string}
+ */
+function formatBPM(bpm) {
+	return String(Math.round(bpm * 100) / 100);
+}
+
+/**
+ * Show the tempo on the tap button until tapping stops
+ * @param {string} label - Label text
+ */
+function showLabel(label) {
+	const tapButton = document.getElementById('tap-button');
+	if (!tapButton) return;
+	tapButton.label = label;
+	clearTimeout(labelTimeout);
+	labelTimeout = setTimeout(() => (tapButton.label = DEFAULT_LABEL), LABEL_TIMEOUT_MS);
+}
+
+/**
+ * Register a tap, and once there are at least two, write the tempo to the settings row
+ * @param {DipSwitchGroup} setRow - The settings row element
+ * @param {SequencerClock} clock - Clock providing the tempo math
+ */
+export function handleTap(setRow, clock) {
+	const now = performance.now();
+	if (tapTimes.length && now - tapTimes[tapTimes.length - 1] > TAP_TIMEOUT_MS) tapTimes = [];
+	tapTimes.push(now);
+	tapTimes = tapTimes.slice(-(MAX_INTERVALS + 1));
+	if (tapTimes.length < 2) {
+		showLabel('…');
+		return;
+	}
+
+	const averageInterval = (tapTimes[tapTimes.length - 1] - tapTimes[0]) / (tapTimes.length - 1);
+	// Taps aren't precise enough to mean anything finer than a whole BPM.
+	const tappedBPM = Math.round(60000 / averageInterval);
+
+	const { baseTempo, isMultiply, tempoFactorExponent } = clock.solveTempoSettings(tappedBPM);
+	const bpmByte = setRow.getByte(0);
+	const bpmModByte = setRow.getByte(1);
+	if (!bpmByte || !bpmModByte) return;
+
+	const swing = bpmModByte.value & 0b11111;
+	bpmByte.value = baseTempo;
+	bpmModByte.value = (isMultiply ? 0b10000000 : 0) | (tempoFactorExponent << 5) | swing;
+
+	const bpm = clock.calculateBPM((bpmByte.value << 8) | bpmModByte.value);
+	showLabel(bpm === tappedBPM ? formatBPM(bpm) : `≈${formatBPM(bpm)}`);
+}
+
+/**
+ * Initialize tap tempo
+ * @param {DipSwitchGroup} setRow - The settings row element
+ * @param {SequencerClock} clock - Clock providing the tempo math
+ */
+export function initializeTapTempo(setRow, clock) {
+	const tapButton = document.getElementById('tap-button');
+	if (tapButton) {
+		if (tapButtonHandler) tapButton.removeEventListener('click', tapButtonHandler);
+		tapButtonHandler = () => handleTap(setRow, clock);
+		tapButton.addEventListener('click', tapButtonHandler);
+	} else {
+		console.warn('TAP button not found');
+	}
+}
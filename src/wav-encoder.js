@@ -0,0 +1,58 @@
+/**
+ * WAV file encoder
+ * Writes an AudioBuffer as interleaved little-endian PCM in a RIFF/WAVE container.
+ */
+
+const HEADER_BYTES = 44;
+
+/**
+ * Encode an AudioBuffer as a WAV file
+ * @param {AudioBuffer} audioBuffer - Rendered audio
+ * @param {16|24} bitDepth - Bits per sample
+ * @returns {Blob} A blob of type audio/wav
+ */
+export function encodeWav(audioBuffer, bitDepth = 16) {
+	const { numberOfChannels, sampleRate, length } = audioBuffer;
+	const bytesPerSample = bitDepth / 8;
+	const blockAlign = numberOfChannels * bytesPerSample;
+	const dataBytes = length * blockAlign;
+	const view = new DataView(new ArrayBuffer(HEADER_BYTES + dataBytes));
+
+	const writeString = (offset, string) => {
+		for (let i = 0; i < string.length; ++i) {
+			view.setUint8(offset + i, string.charCodeAt(i));
+		}
+	};
+
+	writeString(0, 'RIFF');
+	view.setUint32(4, HEADER_BYTES - 8 + dataBytes, true);
+	writeString(8, 'WAVE');
+	writeString(12, 'fmt ');
+	view.setUint32(16, 16, true); // fmt chunk size
+	view.setUint16(20, 1, true); // PCM
+	view.setUint16(22, numberOfChannels, true);
+	view.setUint32(24, sampleRate, true);
+	view.setUint32(28, sampleRate * blockAlign, true);
+	view.setUint16(32, blockAlign, true);
+	view.setUint16(34, bitDepth, true);
+	writeString(36, 'data');
+	view.setUint32(40, dataBytes, true);
+
+	const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+	const maxValue = Math.pow(2, bitDepth - 1) - 1;
+	let offset = HEADER_BYTES;
+	for (let i = 0; i < length; ++i) {
+		for (const data of channels) {
+			const sample = Math.round(Math.max(-1, Math.min(1, data[i])) * maxValue);
+			if (bitDepth === 24) {
+				view.setUint8(offset, sample & 0xff);
+				view.setInt16(offset + 1, sample >> 8, true);
+			} else {
+				view.setInt16(offset, sample, true);
+			}
+			offset += bytesPerSample;
+		}
+	}
+
+	return new Blob([view], { type: 'audio/wav' });
+}
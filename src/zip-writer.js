@@ -0,0 +1,110 @@
+/**
+ * Minimal zip archive writer
+ * Stores files uncompressed (WAV audio barely compresses anyway), which keeps
+ * the format down to headers and a CRC-32 per file.
+ */
+
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_RECORD_BYTES = 22;
+// General purpose flag: file names are UTF-8.
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 checksum used by zip
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; ++n) {
+			let c = n;
+			for (let k = 0; k < 8; ++k) {
+				c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			}
+			crcTable[n] = c >>> 0;
+		}
+	}
+
+	let crc = 0xffffffff;
+	for (let i = 0; i < bytes.length; ++i) {
+		crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+	return {
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+		date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+	};
+}
+
+/**
+ * Bundle files into an uncompressed zip archive
+ * @param {{name: string, data: Uint8Array}[]} files - Files to store, in order
+ * @param {Date} modified - Modification time recorded for every file (optional)
+ * @returns {Blob} A blob of type application/zip
+ */
+export function createZip(files, modified = new Date()) {
+	const encoder = new TextEncoder();
+	const { time, date } = toDosDateTime(modified);
+	const parts = [];
+	const centralHeaders = [];
+	let offset = 0;
+
+	for (const { name, data } of files) {
+		const nameBytes = encoder.encode(name);
+		const crc = crc32(data);
+
+		// Fields shared by the local and central headers, from "version needed" on.
+		const writeCommonFields = (view, start) => {
+			view.setUint16(start, 20, true); // version needed to extract
+			view.setUint16(start + 2, UTF8_FLAG, true);
+			view.setUint16(start + 4, 0, true); // stored (no compression)
+			view.setUint16(start + 6, time, true);
+			view.setUint16(start + 8, date, true);
+			view.setUint32(start + 10, crc, true);
+			view.setUint32(start + 14, data.length, true); // compressed size
+			view.setUint32(start + 18, data.length, true); // uncompressed size
+			view.setUint16(start + 22, nameBytes.length, true);
+		};
+
+		const localHeader = new Uint8Array(LOCAL_HEADER_BYTES + nameBytes.length);
+		const localView = new DataView(localHeader.buffer);
+		localView.setUint32(0, 0x04034b50, true);
+		writeCommonFields(localView, 4);
+		localHeader.set(nameBytes, LOCAL_HEADER_BYTES);
+
+		const centralHeader = new Uint8Array(CENTRAL_HEADER_BYTES + nameBytes.length);
+		const centralView = new DataView(centralHeader.buffer);
+		centralView.setUint32(0, 0x02014b50, true);
+		centralView.setUint16(4, 20, true); // version made by
+		writeCommonFields(centralView, 6);
+		centralView.setUint32(42, offset, true); // local header offset
+		centralHeader.set(nameBytes, CENTRAL_HEADER_BYTES);
+
+		parts.push(localHeader, data);
+		centralHeaders.push(centralHeader);
+		offset += localHeader.length + data.length;
+	}
+
+	const centralSize = centralHeaders.reduce((size, header) => size + header.length, 0);
+	const endRecord = new Uint8Array(END_RECORD_BYTES);
+	const endView = new DataView(endRecord.buffer);
+	endView.setUint32(0, 0x06054b50, true);
+	endView.setUint16(8, files.length, true); // entries on this disk
+	endView.setUint16(10, files.length, true); // total entries
+	endView.setUint32(12, centralSize, true);
+	endView.setUint32(16, offset, true); // central directory offset
+
+	return new Blob([...parts, ...centralHeaders, endRecord], { type: 'application/zip' });
+}
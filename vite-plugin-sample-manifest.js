@@ -0,0 +1,104 @@
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Sample bank manifest plugin
+ * Scans the samples directory and serves (or emits) a JSON manifest of every
+ * bank, so adding a bank is just adding a folder.
+ *
+ * Each bank folder holds its audio files (sorted by name, one per note) and
+ * an optional bank.json with {name, rootNote, variants}. A bank with a
+ * rootNote, or with a single file, is repitched from its first file. Each of
+ * the variants ({name, rootNote}) is another bank playing the same folder, so
+ * e.g. a repitched version doesn't need a copy of the files. order.txt in the
+ * samples directory lists folders (and variant names) in bank order; banks it
+ * doesn't list follow alphabetically, so existing presets keep their banks.
+ */
+
+const AUDIO_FILE_PATTERN = /\.(wav|aiff?|flac|ogg)$/i;
+const DEFAULT_ROOT_NOTE = 60;
+
+/**
+ * Read the bank manifest from a samples directory
+ * @param {string} samplesDir - Absolute path to the samples directory
+ * @returns {{banks: {dir: string, name: string, rootNote: number|null, files: string[]}[]}}
+ */
+function createManifest(samplesDir) {
+	const orderPath = path.join(samplesDir, 'order.txt');
+	const order = existsSync(orderPath)
+		? readFileSync(orderPath, 'utf8')
+				.split('\n')
+				.map(line => line.trim())
+				.filter(Boolean)
+		: [];
+
+	const dirs = readdirSync(samplesDir, { withFileTypes: true })
+		.filter(entry => entry.isDirectory())
+		.map(entry => entry.name);
+
+	// Banks are ordered by folder name, or by name for variants.
+	const entries = [];
+	for (const dir of dirs) {
+		const bankDir = path.join(samplesDir, dir);
+		const files = readdirSync(bankDir)
+			.filter(file => AUDIO_FILE_PATTERN.test(file))
+			.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+			.slice(0, 8);
+		if (files.length === 0) continue;
+
+		const infoPath = path.join(bankDir, 'bank.json');
+		const info = existsSync(infoPath) ? JSON.parse(readFileSync(infoPath, 'utf8')) : {};
+		const rootNote = info.rootNote ?? (files.length === 1 ? DEFAULT_ROOT_NOTE : null);
+
+		entries.push({ key: dir, bank: { dir, name: info.name ?? dir, rootNote, files } });
+		for (const variant of info.variants ?? []) {
+			// Repitched variants only play the first file.
+			const variantRootNote = variant.rootNote ?? null;
+			entries.push({
+				key: variant.name,
+				bank: {
+					dir,
+					name: variant.name,
+					rootNote: variantRootNote,
+					files: variantRootNote !== null ? files.slice(0, 1) : files,
+				},
+			});
+		}
+	}
+
+	entries.sort((a, b) => {
+		const aOrder = order.includes(a.key) ? order.indexOf(a.key) : Infinity;
+		const bOrder = order.includes(b.key) ? order.indexOf(b.key) : Infinity;
+		return aOrder - bOrder || a.key.localeCompare(b.key);
+	});
+
+	return { banks: entries.map(entry => entry.bank) };
+}
+
+/**
+ * @param {{dir?: string, fileName?: string}} options - Samples directory (relative to the project root) and manifest path in the output
+ */
+export default function sampleManifest({ dir = 'public/samples', fileName = 'samples/manifest.json' } = {}) {
+	let samplesDir = null;
+
+	return {
+		name: 'sample-manifest',
+		configResolved(config) {
+			samplesDir = path.resolve(config.root, dir);
+		},
+		configureServer(server) {
+			server.middlewares.use((req, res, next) => {
+				if (!req.url?.split('?')[0].endsWith(`/${fileName}`)) return next();
+				res.setHeader('Content-Type', 'application/json');
+				res.end(JSON.stringify(createManifest(samplesDir)));
+			});
+		},
+		generateBundle() {
+			this.emitFile({
+				type: 'asset',
+				fileName,
+				source: JSON.stringify(createManifest(samplesDir), null, '\t'),
+			});
+		},
+	};
+}
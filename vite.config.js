@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite';
 import favicons from '@peterek/vite-plugin-favicons';
+import sampleManifest from './vite-plugin-sample-manifest.js';
 
 const config = {
 	path: '/big-dipper/',
@@ -13,5 +14,5 @@ export default defineConfig({
 	build: {
 		outDir: 'dist',
 	},
-	plugins: [favicons('src/assets/icon.png', config)],
+	plugins: [favicons('src/assets/icon.png', config), sampleManifest()],
 });